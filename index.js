@@ -1,20 +1,68 @@
+#!/usr/bin/env node
 import inquirer from "inquirer";
 import fs from "fs";
 import path from "path";
 import chokidar from "chokidar";
 import os from "os";
-import { exec } from "child_process";
 import archiver from "archiver";
 import directory from "inquirer-directory";
 import pdf from "pdf-parse";
-import dns from "node:dns";
+import { UploadJournal, FILE_STATES } from "./lib/upload-journal.js";
+import { loadSettings, SETTINGS } from "./lib/config.js";
+import { runCli, usageError, EXIT_CODES } from "./lib/cli.js";
+import { readCsvRecords, formatCsvRow } from "./lib/csv.js";
+import { buildReport, formatReport, reportToCsv, passFailRates } from "./lib/report.js";
+import { reportToHtml } from "./lib/report-html.js";
+import { probeHost, OfflineBuffer, fetchWithDeadline, DEFAULT_REQUEST_TIMEOUT_MS } from "./lib/connectivity.js";
+import { readBarcodeLocally, BARCODE_MODES } from "./lib/local-barcode.js";
+import { compileMatching, matchBarcode, sameBooklet, barcodeFileName } from "./lib/barcode-match.js";
+import { resolvePipeline, describePipeline, DEFAULT_ROLE } from "./lib/pipeline.js";
+import { FAILURE_CATEGORIES, FAILURE_STAGES, RetryPolicy, classifyError, httpError } from "./lib/failures.js";
+import { COMPRESSION_PROFILES, DEFAULT_PROFILE, resolveProfiles, validateProfiles, profilesToTry, ghostscriptOptions } from "./lib/compression.js";
+import { FileIndex } from "./lib/file-index.js";
+import { GhostscriptPool } from "./lib/gs-pool.js";
+import { MANIFEST_NAME, manifestEntry, buildManifest, verifyPackage } from "./lib/batch-package.js";
+import { sha256File, sha256Buffer, combinedChecksum } from "./lib/checksum.js";
+import { Dashboard } from "./lib/dashboard.js";
+import { validatePdf, PDF_PROBLEMS } from "./lib/pdf-validation.js";
+import { DEFAULT_BLANK_PAGES, BLANK_PAGE_POLICIES, INKCOV_OPTIONS, parseInkCoverage, findBlankPages, pagesToKeep } from "./lib/blank-pages.js";
+import { createMetrics, setStationLabels, startMetricsServer, DEFAULT_METRICS_PORT } from "./lib/metrics.js";
+import { Logger, LOG_LEVELS, levelOf } from "./lib/logger.js";
+import { RotatingFile } from "./lib/rotating-file.js";
+import { createUploadAdapter } from "./lib/upload-adapters.js";
+import { ApiSimulator } from "./lib/simulator.js";
+import { ROSTER_FILE_NAME, ROSTER_OUTCOMES, BatchLedger, readRoster, reconcileRoster, describeProblems, reconciliationToCsv, formatReconciliation } from "./lib/roster.js";
 
 // Initialization
 const CSV_LOG_FILE = "scan-log.csv";
-const LOG_FILE = "scan-log.txt";
+const LOG_FILE = "scan-log.jsonl";
 const PDF_REPORT_FILE = "pdf-report.csv";
+const JOURNAL_FILE = "upload-journal.jsonl";
+const FILE_INDEX_FILE = "file-index.jsonl";
+const BATCH_LEDGER_FILE = "batch-ledger.jsonl";
 const MAX_FILES_PER_UPLOAD = 5; // Maximum files to upload in one batch
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 30000; // How long shutdown waits for work in progress, see CONFIG.shutdown.timeoutMs
+const PROGRESS_LOG_MIN_BYTES = 1024 * 1024; // Smaller uploads are done before progress lines would say anything
+let uploadAdapter = createUploadAdapter({ url: process.env.UPLOAD_API_URL }, { fetch: postToUploadApi }); // Where uploads go, see CONFIG.upload.destinations
+let UPLOAD_BATCH_SIZE = MAX_FILES_PER_UPLOAD; // Files per upload request, see CONFIG.upload.batchSize
+let UPLOAD_BATCH_WINDOW_MS = 3000; // How long the queue waits for a batch to fill up
 let SCANNER_NAME, PC_NAME;
+let CONFIG = {}; // Parsed config file, if any
+let BARCODE_MODE = "remote"; // How the barcode stage reads barcodes, see BARCODE_MODES
+let BARCODE_MATCHING = compileMatching(); // How a barcode is matched with its file name, see CONFIG.barcode.matching
+let dashboard = null; // Local status page, when enabled (see startDashboard)
+let simulator = null; // Local stand-in for the OCR and upload APIs, in simulation mode (see startSimulation)
+let metricsServer = null; // Prometheus endpoint, when enabled (see startMetrics)
+let reportTimer = null; // Next daily report, see scheduleDailyReport
+let shuttingDown = false; // Set on SIGINT/SIGTERM; nothing new is started from then on (see shutdown)
+let shutdownStartedAt = 0; // When the first signal came, to tell a second Ctrl+C from a forwarded copy of the first
+const shutdownController = new AbortController(); // Aborts API requests still running when shutdown stops waiting
+const watchers = []; // Folder watchers of the running stages, closed on shutdown
+const inFlight = new Set(); // Work in progress (intake, OCR checks, uploads) that shutdown waits for, see tracked()
+const tempFiles = new Set(); // Temp files in os.tmpdir() still in use, removed on shutdown
+const uploadProgress = new Map(); // fileName -> { sent, total }, for uploads on their way (see reportUploadProgress)
+let uploadsPaused = false; // Set from the dashboard; nothing new is sent while paused
+const pausedUploads = new Map(); // filePath -> retry, per-file uploads that arrived while paused
 
 // Initialize folder paths
 const DEFAULT_PATHS = {
@@ -26,6 +74,9 @@ const DEFAULT_PATHS = {
   ERROR_FOLDER: path.join(process.cwd(), "ERROR_FOLDER"),
   SYSTEM_UPLOADED: path.join(process.cwd(), "SYSTEM_UPLOADED"),
   UPLOAD_ERROR: path.join(process.cwd(), "UPLOAD_ERROR"),
+  DUPLICATES_FOLDER: path.join(process.cwd(), "DUPLICATES_FOLDER"),
+  QUARANTINE_FOLDER: path.join(process.cwd(), "QUARANTINE_FOLDER"),
+  ROSTER_FOLDER: path.join(process.cwd(), "ROSTER_FOLDER"),
 };
 
 let SCANNED_FOLDER = DEFAULT_PATHS.SCANNED_FOLDER;
@@ -36,134 +87,416 @@ let UPLOAD_FOLDER = DEFAULT_PATHS.UPLOAD_FOLDER;
 let ERROR_FOLDER = DEFAULT_PATHS.ERROR_FOLDER;
 let SYSTEM_UPLOADED = DEFAULT_PATHS.SYSTEM_UPLOADED;
 let UPLOAD_ERROR = DEFAULT_PATHS.UPLOAD_ERROR;
+let DUPLICATES_FOLDER = DEFAULT_PATHS.DUPLICATES_FOLDER;
+let QUARANTINE_FOLDER = DEFAULT_PATHS.QUARANTINE_FOLDER;
+let ROSTER_FOLDER = DEFAULT_PATHS.ROSTER_FOLDER;
 
 const isWin = process.platform === "win32";
 const gsPackage = isWin ? "gswin64c" : "gs";
-const logStream = fs.createWriteStream(LOG_FILE, { flags: "a" });
+const logger = new Logger(LOG_FILE); // Leveled JSON lines, rotated and gzipped, see CONFIG.logging
+const csvLog = new RotatingFile(CSV_LOG_FILE, {
+  header: formatCsvRow(["Timestamp", "Scanner", "PC", "Folder", "File", "Status", "Action", "Message"]),
+  onError: (error) => logEvent(`⚠️ Rotating ${CSV_LOG_FILE} failed: ${error.message}`),
+});
+const uploadJournal = new UploadJournal(JOURNAL_FILE);
+let uploadJournalOwned = false; // Set once this process runs the upload stage and keeps uploadJournal current
+const fileIndex = new FileIndex(FILE_INDEX_FILE).load(); // Batch folder, checksum, barcode, upload time per file name
+const batchLedger = new BatchLedger(BATCH_LEDGER_FILE).load(); // Set-aside booklets and completion per batch, see reconcileBatch
+let packageAfterBarcode = false; // Whether the barcode stage zips batches (package stage), see packageWhenChecked
+const packagingBatches = new Set(); // Batches being zipped right now, so two last booklets can't package one twice
+let retryPolicy = new RetryPolicy(); // Automatic retries for transient failures, see CONFIG.retryPolicy
+let gsPool = new GhostscriptPool(); // Bounds concurrent Ghostscript processes, see CONFIG.ghostscript
+const metrics = createMetrics({ queueDepth: () => uploadQueue.size + pausedUploads.size }); // Served on /metrics, see startMetrics
 inquirer.registerPrompt("directory", directory);
 
-// CSV Logger
+// CSV Logger (scan-log.csv rotates with the same settings as the JSON log)
 function logCsvEvent({ folder, file, status, action, message }) {
   const timestamp = new Date().toISOString();
-  const row = `"${timestamp}","${SCANNER_NAME}","${PC_NAME}","${folder}","${file}","${status}","${action}","${message.replace(/"/g, '""')}"\n`;
-  fs.appendFileSync(CSV_LOG_FILE, row);
+  csvLog.append(formatCsvRow([timestamp, SCANNER_NAME, PC_NAME, folder, file, status, action, message]));
 }
 
-// Check internet connection
-async function checkInternetConnection() {
-  try {
-    await dns.promises.resolve("www.google.com");
-    return true;
-  } catch {
-    return false;
-  }
+// Check we can reach the API host we're about to call
+async function checkInternetConnection(apiUrl) {
+  return probeHost(apiUrl, CONFIG.offline?.probeTimeoutMs);
 }
 
-// Ask for folders
-async function promptForFolders() {
-  // Create default folders if they don't exist
-  Object.values(DEFAULT_PATHS).forEach((folder) => {
-    if (!fs.existsSync(folder)) {
-      fs.mkdirSync(folder, { recursive: true });
-    }
+// Buffer for files skipped while the given API is unreachable; drains itself when it's back
+function createOfflineBuffer(name, apiUrl) {
+  return new OfflineBuffer({
+    name,
+    probe: () => checkInternetConnection(apiUrl),
+    intervalMs: CONFIG.offline?.probeIntervalMs,
+    log: logEvent,
   });
+}
 
-  const responses = await inquirer.prompt([
+// Count a promise as work in progress until it settles, so shutdown can wait for it
+function track(promise) {
+  inFlight.add(promise);
+  promise.finally(() => inFlight.delete(promise)).catch(() => {});
+  return promise;
+}
+
+// Wrap an async function so every call (retries included) is tracked
+function tracked(fn) {
+  return (...args) => track(fn(...args));
+}
+
+// Ask for the settings nothing else provided
+async function promptForFolders(missing) {
+  const folderValidator = (input) => (fs.existsSync(input) && fs.lstatSync(input).isDirectory()) || "Invalid folder path";
+
+  const questions = [
     {
       type: "input",
-      name: "scanner",
+      name: "SCANNER_NAME",
       message: "🧍 Scanner Name / ID:",
       default: `Scanner-01`,
       validate: (input) => input.trim() !== "" || "Scanner name required",
     },
     {
       type: "input",
-      name: "pc",
+      name: "PC_NAME",
       message: "💻 PC Name / No:",
       default: os.hostname(),
       validate: (input) => input.trim() !== "" || "PC name required",
     },
     {
       type: "input",
-      name: "scanned",
+      name: "SCANNED_FOLDER",
       message: "📥 Enter path for SCANNED_FOLDER:",
       default: DEFAULT_PATHS.SCANNED_FOLDER,
-      validate: (input) => (fs.existsSync(input) && fs.lstatSync(input).isDirectory()) || "Invalid folder path",
+      validate: folderValidator,
     },
     {
       type: "input",
-      name: "compressed",
+      name: "COMPRESSED_FOLDER",
       message: "📦 Enter path for COMPRESSED_FOLDER:",
       default: DEFAULT_PATHS.COMPRESSED_FOLDER,
-      validate: (input) => (fs.existsSync(input) && fs.lstatSync(input).isDirectory()) || "Invalid folder path",
+      validate: folderValidator,
     },
     {
       type: "input",
-      name: "ready",
+      name: "READY_TO_UPLOAD_FOLDER",
       message: "🚀 Enter path for READY_TO_UPLOAD_FOLDER:",
       default: DEFAULT_PATHS.READY_TO_UPLOAD_ZIPS,
-      validate: (input) => (fs.existsSync(input) && fs.lstatSync(input).isDirectory()) || "Invalid folder path",
+      validate: folderValidator,
     },
     {
       type: "input",
-      name: "linearized",
+      name: "LINEARIZED_FOLDER",
       message: "📄 Enter path for LINEARIZED_FOLDER:",
       default: DEFAULT_PATHS.LINEARIZED_FOLDER,
-      validate: (input) => (fs.existsSync(input) && fs.lstatSync(input).isDirectory()) || "Invalid folder path",
+      validate: folderValidator,
     },
-  ]);
+  ];
 
-  SCANNED_FOLDER = responses.scanned;
-  COMPRESSED_FOLDER = responses.compressed;
-  READY_TO_UPLOAD_ZIPS = responses.ready;
-  SCANNER_NAME = responses.scanner;
-  PC_NAME = responses.pc;
-  LINEARIZED_FOLDER = responses.linearized;
+  return inquirer.prompt(questions.filter((question) => missing.includes(question.name)));
+}
 
-  // Create additional folders if they don't exist
-  [UPLOAD_FOLDER, ERROR_FOLDER, SYSTEM_UPLOADED, UPLOAD_ERROR].forEach((folder) => {
-    if (!fs.existsSync(folder)) {
-      fs.mkdirSync(folder, { recursive: true });
+// Default used for a setting when neither flags, env, config nor the prompt provide one
+function defaultSetting(name) {
+  switch (name) {
+    case "SCANNER_NAME":
+      return "Scanner-01";
+    case "PC_NAME":
+      return os.hostname();
+    case "READY_TO_UPLOAD_FOLDER":
+      return DEFAULT_PATHS.READY_TO_UPLOAD_ZIPS;
+    case "PIPELINE_ROLE":
+      return DEFAULT_ROLE;
+    case "BARCODE_MODE":
+      return "remote";
+    case "LOG_LEVEL":
+      return "info";
+    case "UPLOAD_TARGET":
+      return "default";
+    default:
+      return DEFAULT_PATHS[name];
+  }
+}
+
+// Resolve settings from CLI flags, environment and config file; prompt only as a fallback
+async function resolveSettings(flags, { interactive: allowPrompt = true } = {}) {
+  const { settings, sources, missing, config, configPath, headless } = loadSettings({ flags });
+  CONFIG = config;
+  retryPolicy = new RetryPolicy(CONFIG.retryPolicy);
+  gsPool = new GhostscriptPool(CONFIG.ghostscript);
+  UPLOAD_BATCH_SIZE = Math.max(1, CONFIG.upload?.batchSize ?? MAX_FILES_PER_UPLOAD);
+  UPLOAD_BATCH_WINDOW_MS = CONFIG.upload?.batchWindowMs ?? UPLOAD_BATCH_WINDOW_MS;
+  const { maxSizeMB, daily, maxFiles } = CONFIG.logging || {};
+  logger.configure({ maxSizeMB, daily, maxFiles });
+  csvLog.configure({ maxSizeMB, daily, maxFiles });
+
+  if (configPath) {
+    logEvent(`⚙️ Loaded config file: ${configPath}`);
+  }
+
+  const promptable = SETTINGS.filter((setting) => setting.prompt && missing.includes(setting.name)).map((setting) => setting.name);
+  const interactive = allowPrompt && !headless && process.stdin.isTTY;
+
+  if (promptable.length > 0 && interactive) {
+    // The prompt only accepts existing folders, so make sure the defaults are there to pick
+    Object.values(DEFAULT_PATHS).forEach((folder) => {
+      if (!fs.existsSync(folder)) {
+        fs.mkdirSync(folder, { recursive: true });
+      }
+    });
+
+    const responses = await promptForFolders(promptable);
+    Object.entries(responses).forEach(([name, value]) => {
+      settings[name] = value;
+      sources[name] = "prompt";
+    });
+  }
+
+  missing
+    .filter((name) => settings[name] === undefined)
+    .forEach((name) => {
+      settings[name] = defaultSetting(name);
+      sources[name] = "default";
+    });
+
+  SCANNER_NAME = settings.SCANNER_NAME;
+  PC_NAME = settings.PC_NAME;
+  SCANNED_FOLDER = settings.SCANNED_FOLDER;
+  COMPRESSED_FOLDER = settings.COMPRESSED_FOLDER;
+  READY_TO_UPLOAD_ZIPS = settings.READY_TO_UPLOAD_FOLDER;
+  LINEARIZED_FOLDER = settings.LINEARIZED_FOLDER;
+  UPLOAD_FOLDER = settings.UPLOAD_FOLDER;
+  ERROR_FOLDER = settings.ERROR_FOLDER;
+  SYSTEM_UPLOADED = settings.SYSTEM_UPLOADED;
+  UPLOAD_ERROR = settings.UPLOAD_ERROR;
+  DUPLICATES_FOLDER = settings.DUPLICATES_FOLDER;
+  QUARANTINE_FOLDER = settings.QUARANTINE_FOLDER;
+  ROSTER_FOLDER = settings.ROSTER_FOLDER;
+  BARCODE_MODE = settings.BARCODE_MODE;
+  setStationLabels(metrics, { scanner: SCANNER_NAME, pc: PC_NAME });
+
+  if (!BARCODE_MODES.includes(BARCODE_MODE)) {
+    throw usageError(`Invalid BARCODE_MODE "${BARCODE_MODE}", expected one of: ${BARCODE_MODES.join(", ")}`);
+  }
+  try {
+    validateProfiles(CONFIG.compression);
+    BARCODE_MATCHING = compileMatching(CONFIG.barcode?.matching);
+    // UPLOAD_API_URL still overrides the target's URL, e.g. to point a test station at a local server
+    uploadAdapter = createUploadAdapter({ ...CONFIG.upload, target: settings.UPLOAD_TARGET, url: process.env.UPLOAD_API_URL }, { fetch: postToUploadApi });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+  if (CONFIG.blankPages?.policy !== undefined && !BLANK_PAGE_POLICIES.includes(CONFIG.blankPages.policy)) {
+    throw usageError(`Invalid blankPages.policy "${CONFIG.blankPages.policy}", expected one of: ${BLANK_PAGE_POLICIES.join(", ")}`);
+  }
+  if (!LOG_LEVELS.includes(settings.LOG_LEVEL)) {
+    throw usageError(`Invalid LOG_LEVEL "${settings.LOG_LEVEL}", expected one of: ${LOG_LEVELS.join(", ")}`);
+  }
+  logger.configure({ level: settings.LOG_LEVEL, fields: { scanner: SCANNER_NAME, pc: PC_NAME } });
+
+  SETTINGS.forEach((setting) => logEvent(`⚙️ ${setting.name} = ${settings[setting.name]} (${sources[setting.name]})`));
+  return { settings, sources };
+}
+
+// Create the pipeline folders that don't exist yet; only for commands that move files (watch, retry)
+function createFolders(settings) {
+  SETTINGS.filter((setting) => setting.folder).forEach((setting) => {
+    if (!fs.existsSync(settings[setting.name])) {
+      fs.mkdirSync(settings[setting.name], { recursive: true });
+      logEvent(`📁 Created ${setting.name}: ${settings[setting.name]}`);
     }
   });
 }
 
-// Plain logger
-function logEvent(message) {
-  const timestamp = new Date().toISOString();
-  const logMessage = `[${timestamp}] ${message}${os.EOL}`;
-  console.log(logMessage.trim());
-  logStream.write(logMessage);
+// Log a message to the console and scan-log.jsonl. The level defaults from the emoji prefix (❌ error, ⚠️ warn);
+// `fields` adds structured context such as file, folder, stage, batch, durationMs or code.
+function logEvent(message, { level = levelOf(message), ...fields } = {}) {
+  const entry = logger.log(level, message, fields);
+  if (entry) {
+    dashboard?.publish({ timestamp: entry.time, level, message });
+  }
+}
+
+// Error for a failed Ghostscript job; keeps the pool's code (CANCELLED on shutdown) for classifyError and the callers
+function ghostscriptError(action, error) {
+  const wrapped = new Error(`${action} failed: ${error.message}`, { cause: error });
+  wrapped.code = error.code;
+  return wrapped;
 }
 
-// Compress PDF
-function compressPDF(inputPath, outputPath) {
+// Compress PDF with one of the compression profiles (see lib/compression.js)
+// Runs through the shared Ghostscript pool; pass an AbortSignal to cancel the job.
+function compressPDF(inputPath, outputPath, profile = COMPRESSION_PROFILES[DEFAULT_PROFILE], { signal } = {}) {
   return new Promise((resolve, reject) => {
     // Ghostscript command explanation:
     // - "gswin64c"            → Windows 64-bit console version of Ghostscript // If mac/linx use gs
     // - -sDEVICE=pdfwrite     → Output device set to PDF (we are generating a PDF)
     // - -dCompatibilityLevel=1.4 → Sets the PDF version (1.4 is widely compatible)
-    // - -dPDFSETTINGS=/ebook  → Compression quality preset (good balance of quality and size)
-    //   Other options: /screen (lower quality), /printer (higher quality), /prepress (highest), /default
+    // - -dPDFSETTINGS=<preset> → Compression quality preset from the profile (the default profile uses /screen)
+    //   Options: /screen (lowest quality, smallest), /ebook (good balance), /printer (higher quality), /prepress (highest), /default
+    // - -dColorImageResolution / -dGrayImageResolution → Downsample images to the profile's DPI
+    // - -sColorConversionStrategy=Gray → Only for grayscale profiles
+    // - /DCTEncode + QFactor  → Only for profiles with a JPEG quality: re-encode images as JPEG at that quality
     // - -dNOPAUSE             → Don't prompt and pause between pages
     // - -dQUIET               → Suppress routine information messages
     // - -dBATCH               → Exit after processing (no interactive mode)
     // - -sOutputFile=...      → Output file path
     // - inputPath             → Input file to compress
-    const gsCmd = `"${gsPackage}" -sDEVICE=pdfwrite -dCompatibilityLevel=1.4 -dPDFSETTINGS=/screen -dDownsampleColorImages=true -dColorImageResolution=150 -dNOPAUSE -dQUIET -dBATCH -sOutputFile="${outputPath}" "${inputPath}"`;
+    const gsArgs = ["-dNOPAUSE", "-dQUIET", "-dBATCH", `-sOutputFile=${outputPath}`, ...ghostscriptOptions(profile), inputPath];
 
-    exec(gsCmd, (error, stdout, stderr) => {
-      if (error) {
-        reject(`Compression failed: ${error.message}`);
-      } else {
-        resolve();
-      }
-    });
+    gsPool.run(gsPackage, gsArgs, { signal }).then(
+      () => resolve(),
+      (error) => reject(ghostscriptError("Compression", error)),
+    );
+  });
+}
+
+// Linearize PDF (web-optimized: first page can be shown before the rest has downloaded)
+function linearizePDF(inputPath, outputPath) {
+  return new Promise((resolve, reject) => {
+    // - -dFastWebView=true    → Write a linearized PDF
+    // - -dAutoRotatePages=/None → Keep scanned pages the way the scanner produced them
+    // - -dPassThroughJPEGImages=true → Copy scanned JPEG images as-is instead of re-encoding them
+    const gsArgs = [
+      "-sDEVICE=pdfwrite",
+      "-dFastWebView=true",
+      "-dAutoRotatePages=/None",
+      "-dPassThroughJPEGImages=true",
+      "-dNOPAUSE",
+      "-dQUIET",
+      "-dBATCH",
+      `-sOutputFile=${outputPath}`,
+      inputPath,
+    ];
+
+    gsPool.run(gsPackage, gsArgs).then(
+      () => resolve(),
+      (error) => reject(ghostscriptError("Linearization", error)),
+    );
+  });
+}
+
+// Ink coverage of every page with Ghostscript's inkcov device (see lib/blank-pages.js)
+async function measureInkCoverage(inputPath) {
+  const { stdout } = await gsPool.run(gsPackage, [...INKCOV_OPTIONS, inputPath]);
+  return parseInkCoverage(stdout);
+}
+
+// Copy only the given pages (1-based) of a PDF
+function extractPagesPDF(inputPath, outputPath, pages) {
+  return new Promise((resolve, reject) => {
+    // - -sPageList=1,3,4      → Pages to write, in order
+    // Other options as in linearizePDF: keep scanned pages and their JPEG images as they are
+    const gsArgs = [
+      "-sDEVICE=pdfwrite",
+      `-sPageList=${pages.join(",")}`,
+      "-dAutoRotatePages=/None",
+      "-dPassThroughJPEGImages=true",
+      "-dNOPAUSE",
+      "-dQUIET",
+      "-dBATCH",
+      `-sOutputFile=${outputPath}`,
+      inputPath,
+    ];
+
+    gsPool.run(gsPackage, gsArgs).then(
+      () => resolve(),
+      (error) => reject(ghostscriptError("Page extraction", error)),
+    );
   });
 }
 
+// Find blank pages (CONFIG.blankPages) and, with the "remove" policy, rewrite the PDF in place without them.
+// Page 1 is never removed. Resolves to { blank, removed } page numbers, or null if coverage couldn't be measured.
+async function handleBlankPages(filePath) {
+  const fileName = path.basename(filePath);
+  const folder = path.dirname(filePath);
+  const { threshold, policy } = { ...DEFAULT_BLANK_PAGES, ...CONFIG.blankPages };
+
+  let coverage;
+  try {
+    coverage = await measureInkCoverage(filePath);
+  } catch (error) {
+    logEvent(`⚠️ Could not measure ink coverage of ${fileName}: ${error.message || error}`, { file: fileName, stage: "blank-pages" });
+    return null;
+  }
+
+  const blank = findBlankPages(coverage, threshold);
+  const keep = pagesToKeep(coverage.length, blank);
+  if (blank.length === 0) return { blank, removed: [] };
+
+  logEvent(`📃 ${fileName}: blank page(s) ${blank.join(", ")} of ${coverage.length}`, { file: fileName, stage: "blank-pages" });
+  if (policy !== "remove" || keep.length === coverage.length) {
+    return { blank, removed: [] };
+  }
+
+  const removed = blank.filter((page) => !keep.includes(page));
+  const tempPath = path.join(folder, `.${fileName}.pages`);
+  try {
+    await extractPagesPDF(filePath, tempPath, keep);
+    const pages = await countPages(tempPath);
+    if (pages !== keep.length) {
+      throw new Error(`expected ${keep.length} page(s), got ${pages}`);
+    }
+
+    fs.renameSync(tempPath, filePath);
+    logEvent(`✂️ Removed blank page(s) ${removed.join(", ")} from ${fileName}`, { file: fileName, stage: "blank-pages" });
+    logCsvEvent({ folder, file: fileName, status: "Pass", action: "Blank Pages Removed", message: `Removed page(s) ${removed.join(", ")} of ${coverage.length}` });
+    return { blank, removed };
+  } catch (error) {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    logEvent(`⚠️ Could not remove blank pages from ${fileName}, keeping all pages: ${error.message || error}`, { file: fileName, stage: "blank-pages" });
+    logCsvEvent({ folder, file: fileName, status: "Fail", action: "Blank Pages Removed", message: `Kept all pages: ${error.message || error}` });
+    return { blank, removed: [] };
+  }
+}
+
+// Count pages; throws if the PDF can't be opened
+async function countPages(pdfPath) {
+  const pdfData = await pdf(fs.readFileSync(pdfPath), { max: 1 });
+  return pdfData.numpages;
+}
+
+// Linearize a PDF into destPath, or move the original there unchanged if that fails.
+// The output is written under a temporary name next to destPath and renamed into place once it
+// opens and has the same page count, so the next stage's watcher never sees a half-written file.
+async function linearizeAndMove(sourcePath, destPath) {
+  const fileName = path.basename(sourcePath);
+  const tempPath = path.join(path.dirname(destPath), `.${path.basename(destPath)}.linearizing`);
+
+  try {
+    await linearizePDF(sourcePath, tempPath);
+
+    const originalPages = await countPages(sourcePath);
+    const linearizedPages = await countPages(tempPath);
+    if (originalPages !== linearizedPages) {
+      throw new Error(`page count changed from ${originalPages} to ${linearizedPages}`);
+    }
+
+    fs.renameSync(tempPath, destPath);
+    fs.unlinkSync(sourcePath);
+    logEvent(`⚡ Linearized ${fileName} (${linearizedPages} pages)`);
+    return true;
+  } catch (error) {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    logEvent(`⚠️ Could not linearize ${fileName}, keeping original: ${error.message || error}`);
+    logCsvEvent({
+      folder: path.dirname(sourcePath),
+      file: fileName,
+      status: "Fail",
+      action: "Linearize",
+      message: `Kept original: ${error.message || error}`,
+    });
+    fs.renameSync(sourcePath, destPath);
+    return false;
+  }
+}
+
 // Zip folder
-function zipFolder(sourceFolder, zipFilePath) {
+// Zip a folder, or only `files` from it, optionally adding a manifest.json
+function zipFolder(sourceFolder, zipFilePath, { files, manifest } = {}) {
   return new Promise((resolve, reject) => {
     const output = fs.createWriteStream(zipFilePath);
     const archive = archiver("zip", {
@@ -174,7 +507,14 @@ function zipFolder(sourceFolder, zipFilePath) {
     archive.on("error", (err) => reject(err));
 
     archive.pipe(output);
-    archive.directory(sourceFolder, false);
+    if (files) {
+      files.forEach((file) => archive.file(path.join(sourceFolder, file), { name: file }));
+    } else {
+      archive.directory(sourceFolder, false);
+    }
+    if (manifest) {
+      archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_NAME });
+    }
     archive.finalize();
   });
 }
@@ -218,15 +558,7 @@ async function generatePDFReport(pdfPath) {
         max: 1, // Only process first page for quick metadata access
       });
     } catch (pdfError) {
-      // If PDF parsing fails, continue with basic file info
-      pdfData = {
-        numpages: 0,
-        info: {},
-      };
-      logEvent(`⚠️ PDF parsing warning for ${pdfPath}: ${pdfError.message}`);
-
-      console.log(pdfError);
-      throw new Error(pdfError);
+      throw new Error(`PDF parsing failed: ${pdfError.message}`);
     }
 
     const fileStats = fs.statSync(pdfPath);
@@ -234,8 +566,6 @@ async function generatePDFReport(pdfPath) {
     const baseFolder = path.basename(path.dirname(pdfPath));
     const fileName = path.basename(pdfPath);
 
-    console.log("PDF Data ", pdfData);
-
     const reportData = {
       timestamp: new Date().toISOString(),
       scannerName: SCANNER_NAME || "Unknown",
@@ -253,7 +583,8 @@ async function generatePDFReport(pdfPath) {
     return reportData;
   } catch (error) {
     logEvent(`⚠️ Error generating PDF report for ${pdfPath}: ${error.message}`);
-    // Return basic file information even if detailed PDF parsing fails
+    // Return basic file information even if detailed PDF parsing fails; the page count is left
+    // empty rather than 0 so unreadable files don't pass for empty ones
     const fileStats = fs.statSync(pdfPath);
     const fileSizeInMB = (fileStats.size / (1024 * 1024)).toFixed(2);
     return {
@@ -263,7 +594,7 @@ async function generatePDFReport(pdfPath) {
       fileName: path.basename(pdfPath),
       baseFolder: path.basename(path.dirname(pdfPath)),
       location: pdfPath,
-      pageCount: 0,
+      pageCount: "",
       fileSizeInMB: fileSizeInMB,
       title: "N/A",
       author: "N/A",
@@ -272,33 +603,405 @@ async function generatePDFReport(pdfPath) {
   }
 }
 
+// pdf-report.csv columns. PageCount is after blank page removal; BlankPages and RemovedPages are space-separated page numbers.
+const PDF_REPORT_COLUMNS = ["Timestamp", "ScannerName", "PCName", "FileName", "BaseFolder", "Location", "PageCount", "FileSizeMB", "Title", "Author", "CreationDate", "BlankPages", "RemovedPages"];
+let pdfReportHeaderChecked = false;
+
 // Add function to save PDF report to CSV
 function savePDFReport(reportData) {
   if (!reportData) return;
 
-  const csvLine = `"${reportData.timestamp}","${reportData.scannerName}","${reportData.pcName}","${reportData.fileName}","${reportData.baseFolder}","${reportData.location}","${reportData.pageCount}","${reportData.fileSizeInMB}","${reportData.title}","${reportData.author}","${reportData.creationDate}"\n`;
+  const csvLine = formatCsvRow([
+    reportData.timestamp,
+    reportData.scannerName,
+    reportData.pcName,
+    reportData.fileName,
+    reportData.baseFolder,
+    reportData.location,
+    reportData.pageCount,
+    reportData.fileSizeInMB,
+    reportData.title,
+    reportData.author,
+    reportData.creationDate,
+    (reportData.blankPages || []).join(" "),
+    (reportData.removedPages || []).join(" "),
+  ]);
 
-  // Create header if file doesn't exist
+  // Create header if file doesn't exist; files from before a column was added get the new header,
+  // their old rows just leave the new columns empty
+  const header = formatCsvRow(PDF_REPORT_COLUMNS);
   if (!fs.existsSync(PDF_REPORT_FILE)) {
-    const header = "Timestamp,ScannerName,PCName,FileName,BaseFolder,Location,PageCount,FileSizeMB,Title,Author,CreationDate\n";
     fs.writeFileSync(PDF_REPORT_FILE, header);
+  } else if (!pdfReportHeaderChecked) {
+    const content = fs.readFileSync(PDF_REPORT_FILE, "utf8");
+    const [firstLine] = content.split(/\r?\n/, 1);
+    if (firstLine !== header.trimEnd()) {
+      const rows = content.includes("\n") ? content.slice(content.indexOf("\n") + 1) : "";
+      fs.writeFileSync(PDF_REPORT_FILE, header + rows);
+    }
   }
+  pdfReportHeaderChecked = true;
 
   fs.appendFileSync(PDF_REPORT_FILE, csvLine);
 }
 
+// Booklet this file duplicates, if any: same content as a file seen before (under another name,
+// or already uploaded), or a barcode that has already been uploaded
+function findDuplicate(fileName, sha256) {
+  const sameContent = fileIndex.findByHash(sha256);
+  if (sameContent && (sameContent.file !== fileName || sameContent.uploadedAt)) {
+    return { original: sameContent, reason: "same content" };
+  }
+
+  // By file name, as the barcode hasn't been read yet; compared under the barcode matching rules
+  const sameBarcode = fileIndex.findUploadedBooklet((booklet) => sameBooklet(booklet, { fileName }, BARCODE_MATCHING));
+  if (sameBarcode) {
+    return { original: sameBarcode, reason: "barcode already uploaded" };
+  }
+  return null;
+}
+
+// Batch folder a file belongs to: the scan-folder subfolder it came in with, or what the file index remembers
+function batchOfFile(fileName, folder) {
+  if (folder === SCANNED_FOLDER) return null; // Loose PDFs aren't part of a batch
+  return path.dirname(folder) === SCANNED_FOLDER ? path.basename(folder) : (fileIndex.get(fileName)?.batch ?? null);
+}
+
+// Move a duplicate booklet aside and point the logs at the original. `barcode` is the decoded one, if any.
+function moveToDuplicates(filePath, { original, reason, barcode = null }, folder) {
+  const fileName = path.basename(filePath);
+  let destPath = path.join(DUPLICATES_FOLDER, fileName);
+  if (fs.existsSync(destPath)) {
+    const { name, ext } = path.parse(fileName);
+    destPath = path.join(DUPLICATES_FOLDER, `${name}_${Date.now()}${ext}`);
+  }
+
+  const where = [original.batch && `batch ${original.batch}`, original.uploadedAt && `uploaded ${original.uploadedAt}`].filter(Boolean).join(", ");
+  const message = `Duplicate of ${original.file}${where ? ` (${where})` : ""}: ${reason}`;
+
+  try {
+    fs.renameSync(filePath, destPath);
+    const batch = batchOfFile(fileName, folder);
+    if (batch) batchLedger.setAside(batch, { file: fileName, barcode, outcome: ROSTER_OUTCOMES.DUPLICATE });
+    logEvent(`👯 ${fileName} is a duplicate of ${original.file} (${reason}), moved to ${path.basename(DUPLICATES_FOLDER)}`, {
+      level: "warn",
+      file: fileName,
+      folder,
+      batch: original.batch,
+      code: "DUPLICATE",
+    });
+    logCsvEvent({ folder, file: fileName, status: "Fail", action: "Duplicate", message });
+  } catch (err) {
+    logEvent(`❌ Failed to move duplicate ${fileName}: ${err}`);
+    logCsvEvent({ folder, file: fileName, status: "Fail", action: "Duplicate", message: `${message}; move failed: ${err}` });
+  }
+}
+
+// Check a PDF's structure, pages and size (lib/pdf-validation.js, limits from CONFIG.validation).
+// A file that fails goes to QUARANTINE_FOLDER with a .reason.txt next to it; resolves to whether it may go on.
+async function passesValidation(filePath, folder) {
+  const fileName = path.basename(filePath);
+  let validation;
+  try {
+    validation = await validatePdf(filePath, CONFIG.validation);
+  } catch (err) {
+    validation = { ok: false, problems: [{ code: PDF_PROBLEMS.UNREADABLE }], reason: `[${PDF_PROBLEMS.UNREADABLE}] ${err.message}` };
+  }
+
+  if (validation.ok) {
+    logEvent(`🩺 ${fileName} passed validation (${validation.pages} page(s))`, { level: "debug", file: fileName, folder, stage: "validate" });
+    return true;
+  }
+
+  let destPath = path.join(QUARANTINE_FOLDER, fileName);
+  if (fs.existsSync(destPath)) {
+    const { name, ext } = path.parse(fileName);
+    destPath = path.join(QUARANTINE_FOLDER, `${name}_${Date.now()}${ext}`);
+  }
+
+  try {
+    fs.renameSync(filePath, destPath);
+    fs.writeFileSync(`${destPath}.reason.txt`, `${fileName} from ${folder}, quarantined ${new Date().toISOString()}\n${validation.reason}\n`);
+    const batch = batchOfFile(fileName, folder);
+    if (batch) batchLedger.setAside(batch, { file: fileName, outcome: ROSTER_OUTCOMES.QUARANTINED });
+    logEvent(`🚧 ${fileName} failed validation (${validation.reason}), moved to ${path.basename(QUARANTINE_FOLDER)}`, {
+      level: "warn",
+      file: fileName,
+      folder,
+      stage: "validate",
+      code: validation.problems[0].code,
+    });
+    logCsvEvent({ folder, file: fileName, status: "Fail", action: "Quarantined", message: validation.reason });
+  } catch (err) {
+    logEvent(`❌ Failed to quarantine ${fileName}: ${err}`);
+    logCsvEvent({ folder, file: fileName, status: "Fail", action: "Quarantined", message: `${validation.reason}; move failed: ${err}` });
+  }
+  return false;
+}
+
+// What an uploaded record keeps from the uploading one: the checksum (see alreadyUploaded) and, when the file was
+// compressed, its size before and after (see generateReport)
+function uploadedFacts(uploading) {
+  const { sha256, sizeBefore, sizeAfter } = uploading ?? {};
+  return { sha256, sizeBefore, sizeAfter };
+}
+
+// Checksum for the upload's idempotency key: the one taken at intake, so linearizing or
+// compressing doesn't change it; computed now for files that came from another station
+// (from `contentSha256` when the caller already hashed the file)
+async function uploadChecksum(filePath, contentSha256 = null) {
+  const fileName = path.basename(filePath);
+  const known = fileIndex.get(fileName)?.sha256;
+  if (known) return known;
+
+  const sha256 = contentSha256 ?? (await sha256File(filePath));
+  fileIndex.update(fileName, { sha256 });
+  return sha256;
+}
+
+// Zip a batch folder's PDFs with a manifest (file stem, barcode read, pages, size, checksum) into READY_TO_UPLOAD_FOLDER,
+// then re-open the zip and check it against the manifest. The zip only gets its real name once verified.
+// Resolves to the zip's path, or null if packaging failed.
+async function packageBatch(batchFolder, pdfs) {
+  const batch = path.basename(batchFolder);
+  const zipName = `${batch}.zip`;
+  const zipPath = path.join(READY_TO_UPLOAD_ZIPS, zipName);
+  const tempPath = path.join(READY_TO_UPLOAD_ZIPS, `.${zipName}.partial`);
+
+  logEvent(`🗜️ Zipping ${batch} (${pdfs.length} PDF(s))`, { batch, stage: "package" });
+  const startedAt = Date.now();
+  logCsvEvent({ folder: batchFolder, file: zipName, status: "Info", action: "Zipping", message: batchFolder });
+
+  try {
+    const files = [];
+    for (const file of pdfs) {
+      const filePath = path.join(batchFolder, file);
+      let pages = null;
+      try {
+        pages = await countPages(filePath);
+      } catch (err) {
+        logEvent(`⚠️ Could not count pages of ${file} for the manifest: ${err.message}`);
+      }
+      files.push(await manifestEntry(filePath, { pages, barcode: fileIndex.get(file)?.barcode ?? null }));
+    }
+
+    const manifest = buildManifest({ batch, scanner: SCANNER_NAME, pc: PC_NAME, files });
+    await zipFolder(batchFolder, tempPath, { files: pdfs, manifest });
+
+    const { ok, problems } = await verifyPackage(tempPath);
+    if (!ok) {
+      throw new Error(`Zip verification failed: ${problems.join("; ")}`);
+    }
+
+    if (fs.existsSync(zipPath)) {
+      logEvent(`⚠️ Replacing existing ${zipName} in ${path.basename(READY_TO_UPLOAD_ZIPS)}`);
+    }
+    fs.renameSync(tempPath, zipPath);
+
+    logEvent(`📦 Zipped and verified ${batch}: ${zipPath}`, { batch, stage: "package", durationMs: Date.now() - startedAt });
+    logCsvEvent({ folder: batchFolder, file: zipName, status: "Pass", action: "Zipped", message: `${zipPath} (${files.length} file(s) verified)` });
+    return zipPath;
+  } catch (err) {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    logEvent(`❌ Failed to package ${batch}: ${err.message ?? err}`, { batch, stage: "package" });
+    logCsvEvent({ folder: batchFolder, file: zipName, status: "Fail", action: "Zipped", message: (err.message ?? err).toString() });
+    return null;
+  }
+}
+
+// Where the booklets of a batch that passed the barcode check wait for the batch's zip
+function packageStagingFolder(batch) {
+  return path.join(READY_TO_UPLOAD_ZIPS, ".staging", batch);
+}
+
+// Keep a booklet that passed the barcode check for its batch's zip, under the name it goes on with.
+// A hard link where the file system allows, so nothing is copied and the upload stage can move the file freely.
+function stageForPackage(filePath, batch, fileName) {
+  const folder = packageStagingFolder(batch);
+  const stagedPath = path.join(folder, fileName);
+  try {
+    fs.mkdirSync(folder, { recursive: true });
+    fs.rmSync(stagedPath, { force: true });
+    try {
+      fs.linkSync(filePath, stagedPath);
+    } catch {
+      fs.copyFileSync(filePath, stagedPath);
+    }
+  } catch (err) {
+    logEvent(`⚠️ Could not keep ${fileName} for the ${batch} zip: ${err.message}`, { file: fileName, batch, stage: "package" });
+  }
+}
+
+// Zip a batch once the barcode check has a verdict on every booklet intake sent on, from the ones that passed;
+// duplicates, quarantined booklets and failed checks never reach the staging folder. Packages each batch once.
+async function packageWhenChecked(batch) {
+  if (!packageAfterBarcode || !batch || packagingBatches.has(batch)) return;
+
+  // Intake may run in another process on this station
+  if (!batchLedger.get(batch).handedOff) batchLedger.load();
+  const { handedOff, packaged } = batchLedger.get(batch);
+  if (!handedOff || packaged) return;
+  if (!handedOff.every((file) => (fileIndex.get(file) ?? fileIndex.refresh().get(file))?.barcodeCheck)) return;
+
+  packagingBatches.add(batch);
+  try {
+    const folder = packageStagingFolder(batch);
+    const pdfs = fs.existsSync(folder) ? fs.readdirSync(folder).filter((file) => file.toLowerCase().endsWith(".pdf")) : [];
+    if (pdfs.length === 0) {
+      logEvent(`⚠️ Not packaging ${batch}: none of its booklets passed the barcode check`, { batch, stage: "package" });
+      return;
+    }
+
+    const zipPath = await packageBatch(folder, pdfs);
+    if (zipPath) {
+      batchLedger.markPackaged(batch, zipPath);
+      fs.rmSync(folder, { recursive: true, force: true });
+    }
+  } finally {
+    packagingBatches.delete(batch);
+  }
+}
+
+// Record the barcode check's verdict on a booklet of a batch ("matched", "mismatch", "duplicate" or "error"),
+// then package the batch if that was the last one
+async function barcodeChecked(fileName, verdict) {
+  const batch = fileIndex.get(fileName)?.batch;
+  if (!batch) return;
+
+  fileIndex.update(fileName, { barcodeCheck: verdict });
+  await packageWhenChecked(batch);
+}
+
+// Move a roster dropped into a batch folder to ROSTER_FOLDER/<batch>.csv, where reconcileBatch looks for it
+function adoptRoster(folderPath, fileName) {
+  const batch = path.basename(folderPath);
+  const destPath = path.join(ROSTER_FOLDER, `${batch}.csv`);
+
+  try {
+    if (fs.existsSync(destPath)) {
+      logEvent(`⚠️ Replacing roster for ${batch} in ${path.basename(ROSTER_FOLDER)}`, { batch });
+    }
+    fs.renameSync(path.join(folderPath, fileName), destPath);
+    logEvent(`🧾 Roster for ${batch}: ${readRoster(destPath).length} expected booklet(s)`, { batch, stage: "intake" });
+    logCsvEvent({ folder: folderPath, file: fileName, status: "Pass", action: "Roster", message: `Moved to ${destPath}` });
+  } catch (err) {
+    logEvent(`❌ Failed to take roster for ${batch}: ${err.message}`, { batch, stage: "intake" });
+    logCsvEvent({ folder: folderPath, file: fileName, status: "Fail", action: "Roster", message: err.toString() });
+  }
+}
+
+// Compare a batch with its roster: every booklet the file index saw come in with it, plus the ones set aside
+// at intake or the barcode check. Returns null when the batch has no roster.
+function buildReconciliation(batch, journal = uploadJournal) {
+  const rosterPath = path.join(ROSTER_FOLDER, `${batch}.csv`);
+  if (!fs.existsSync(rosterPath)) return null;
+
+  const files = fileIndex.inBatch(batch).map(({ file, barcode, uploadedAt }) => ({
+    file,
+    barcode,
+    outcome: uploadedAt ? ROSTER_OUTCOMES.UPLOADED : journal.getState(file) === FILE_STATES.FAILED ? ROSTER_OUTCOMES.FAILED : ROSTER_OUTCOMES.PENDING,
+  }));
+  return reconcileRoster(readRoster(rosterPath), [...files, ...batchLedger.get(batch).setAside], BARCODE_MATCHING);
+}
+
+function writeReconciliation(batch, result, folder = CONFIG.reports?.folder ?? "reports") {
+  const filePath = path.join(folder, `reconciliation-${batch.replace(/[^\w.-]+/g, "_")}.csv`);
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(filePath, reconciliationToCsv(result));
+  return filePath;
+}
+
+// Reconcile a batch after intake and whenever one of its booklets is uploaded or fails for good, writing
+// reconciliation-<batch>.csv next to the reports. Once nothing is on its way any more the batch is marked complete;
+// with roster.blockIncomplete it is held instead until nothing is missing, extra, duplicated or failed (or `reconcile --accept`).
+function reconcileBatch(batch, { intake = false } = {}) {
+  const result = buildReconciliation(batch);
+  if (!result) return null;
+
+  const filePath = writeReconciliation(batch, result);
+  const problems = describeProblems(result);
+  const folder = path.join(SCANNED_FOLDER, batch);
+  const fields = { batch, stage: "reconcile" };
+
+  if (!result.settled) {
+    if (intake) {
+      const message = `🧾 ${batch}: ${result.received}/${result.expected} expected booklet(s) received, ${result.pending.length} on the way`;
+      logEvent(`${message}${problems ? `; ${problems}` : ""}`, { level: problems ? "warn" : "info", ...fields });
+    }
+    return result;
+  }
+
+  const state = batchLedger.get(batch);
+  if (result.clean) {
+    if (state.status !== "complete") {
+      batchLedger.mark(batch, "complete");
+      logEvent(`🏁 Batch ${batch} complete: all ${result.expected} booklet(s) uploaded`, fields);
+      logCsvEvent({ folder, file: path.basename(filePath), status: "Pass", action: "Batch Complete", message: `${result.uploaded.length}/${result.expected} uploaded` });
+    }
+  } else if (state.status === "complete") {
+    // Completed earlier (or accepted); a late duplicate or failure is worth a warning but doesn't reopen it
+    logEvent(`⚠️ Batch ${batch} was already complete but now has ${problems}`, fields);
+  } else if (CONFIG.roster?.blockIncomplete) {
+    batchLedger.mark(batch, "held", problems);
+    logEvent(`⛔ Batch ${batch} held until resolved: ${problems}`, { level: "warn", ...fields });
+    logCsvEvent({ folder, file: path.basename(filePath), status: "Fail", action: "Batch Held", message: problems });
+  } else {
+    batchLedger.mark(batch, "complete", problems);
+    logEvent(`⚠️ Batch ${batch} complete with problems: ${problems}`, fields);
+    logCsvEvent({ folder, file: path.basename(filePath), status: "Pass", action: "Batch Complete", message: problems });
+  }
+  return result;
+}
+
+// A booklet was uploaded or failed for good: see whether that settles its batch
+function fileSettled(fileName) {
+  const batch = fileIndex.get(fileName)?.batch;
+  if (!batch) return;
+
+  try {
+    reconcileBatch(batch);
+  } catch (err) {
+    logEvent(`❌ Failed to reconcile batch ${batch}: ${err.message}`, { batch, stage: "reconcile" });
+  }
+}
+
 // Move PDFs to linearized folder
-async function moveToDestinationFolder(sourceFolderPath, destinationFolderPath, pdfs) {
+// Resolves to the files that went on.
+async function moveToDestinationFolder(sourceFolderPath, destinationFolderPath, pdfs, { report = true, linearize = false, blankPages = false } = {}) {
+  const moved = [];
   for (const file of pdfs) {
     const sourcePath = path.join(sourceFolderPath, file);
     const destPath = path.join(destinationFolderPath, file);
 
+    // Same booklet scanned again: set it aside instead of sending it down the pipeline
+    const sha256 = await sha256File(sourcePath);
+    const duplicate = findDuplicate(file, sha256);
+    if (duplicate) {
+      moveToDuplicates(sourcePath, duplicate, sourceFolderPath);
+      continue;
+    }
+
+    // Blank pages are found (and maybe removed) before the report, so it shows what goes on
+    const blank = blankPages ? await handleBlankPages(sourcePath) : null;
+
     // Generate and save report
-    await generateAndSaveReport(path.basename(sourcePath), sourcePath);
+    if (report) {
+      await generateAndSaveReport(path.basename(sourcePath), sourcePath, { blankPages: blank });
+    }
+
+    // Remember the batch folder and checksum; later stages only see the flat (and maybe rewritten) file
+    fileIndex.update(file, { batch: path.basename(sourceFolderPath), scanner: SCANNER_NAME, pc: PC_NAME, sha256 });
 
     try {
-      // Move the file
-      fs.renameSync(sourcePath, destPath);
+      // Move the file, linearizing it on the way if enabled
+      if (linearize) {
+        await linearizeAndMove(sourcePath, destPath);
+      } else {
+        fs.renameSync(sourcePath, destPath);
+      }
+      moved.push(file);
       logEvent(`📄 Moved ${file} to ${destinationFolderPath}`);
       logCsvEvent({
         folder: sourcePath,
@@ -318,6 +1021,7 @@ async function moveToDestinationFolder(sourceFolderPath, destinationFolderPath,
       });
     }
   }
+  return moved;
 }
 
 // Clean up original folder
@@ -355,6 +1059,12 @@ async function stabilizeAndPrepareFolder(folderPath) {
   const files = fs.readdirSync(folderPath);
   const pdfs = files.filter((f) => f.toLowerCase().endsWith(".pdf"));
 
+  // A batch's expected-barcode list comes along in the folder; take it out before the folder is removed
+  const roster = files.find((f) => f.toLowerCase() === ROSTER_FILE_NAME);
+  if (roster) {
+    adoptRoster(folderPath, roster);
+  }
+
   if (pdfs.length === 0) {
     logEvent(`⚠️ No PDFs found in ${folderPath}`);
     logCsvEvent({ folder: folderPath, file: "", status: "Fail", action: "No PDFs", message: "No PDF files found" });
@@ -369,19 +1079,20 @@ async function stabilizeAndPrepareFolder(folderPath) {
 }
 
 // Generate PDF report
-async function generateAndSaveReport(file, fullPath) {
+async function generateAndSaveReport(file, fullPath, { blankPages = null } = {}) {
   logEvent(`📊 Generating report for ${file}...`);
   const pdfReport = await generatePDFReport(fullPath);
-  savePDFReport(pdfReport);
+  savePDFReport({ ...pdfReport, blankPages: blankPages?.blank, removedPages: blankPages?.removed });
   logEvent(`📝 Report generated for ${file}`);
 }
 
 // Compress PDF in memory
-async function compressPDFInMemory(inputPath) {
+async function compressPDFInMemory(inputPath, profile, { signal } = {}) {
   const tempOutputPath = path.join(os.tmpdir(), `compressed_${Date.now()}_${path.basename(inputPath)}`);
+  tempFiles.add(tempOutputPath);
 
   try {
-    await compressPDF(inputPath, tempOutputPath);
+    await compressPDF(inputPath, tempOutputPath, profile, { signal });
     const compressedBuffer = fs.readFileSync(tempOutputPath);
     fs.unlinkSync(tempOutputPath); // Clean up temp file
     return compressedBuffer;
@@ -390,6 +1101,107 @@ async function compressPDFInMemory(inputPath) {
       fs.unlinkSync(tempOutputPath); // Clean up temp file if it exists
     }
     throw err;
+  } finally {
+    tempFiles.delete(tempOutputPath);
+  }
+}
+
+// Compress a PDF for upload and return the bytes to send.
+// The profile comes from the file's batch folder (compression.batchProfiles) or compression.profile.
+// With compression.adaptive, adaptive.profiles are tried after it until one gets under adaptive.maxSizeMB,
+// otherwise the smallest result wins. Whatever is picked, the original is sent if it isn't smaller.
+async function compressForUpload(filePath, originalBuffer) {
+  const fileName = path.basename(filePath);
+  const compression = CONFIG.compression || {};
+  const profiles = resolveProfiles(compression);
+  // Indexed at intake, possibly by another process on this station: read what it appended since
+  const batch = (fileIndex.get(fileName) ?? fileIndex.refresh().get(fileName))?.batch;
+  const candidates = profilesToTry(batch, compression);
+  const maxSize = compression.adaptive?.maxSizeMB ? compression.adaptive.maxSizeMB * 1024 * 1024 : null;
+
+  let best = null;
+  for (const name of candidates) {
+
+    const endTimer = metrics.compressionDuration.startTimer({ profile: name });
+    let buffer, seconds;
+    try {
+      buffer = await compressPDFInMemory(filePath, profiles[name]);
+      seconds = endTimer({ outcome: "success" });
+    } catch (error) {
+      endTimer({ outcome: "failure" });
+      throw error;
+    }
+    metrics.compressionRatio.observe({ profile: name }, buffer.length / originalBuffer.length);
+    logEvent(`📊 Profile ${name}${batch ? ` (batch ${batch})` : ""}: ${(originalBuffer.length / 1024).toFixed(0)} KB → ${(buffer.length / 1024).toFixed(0)} KB for ${fileName}`, {
+      level: "debug",
+      file: fileName,
+      batch,
+      stage: "compress",
+      profile: name,
+      durationMs: Math.round(seconds * 1000),
+    });
+    if (!best || buffer.length < best.buffer.length) {
+      best = { profile: name, buffer };
+    }
+    if (!maxSize || buffer.length <= maxSize) break;
+  }
+
+  if (maxSize && best.buffer.length > maxSize) {
+    logEvent(`⚠️ No compression profile got ${fileName} under ${compression.adaptive.maxSizeMB} MB, using the smallest (${best.profile})`);
+  }
+
+  // Never make it bigger: already-optimized scans can grow when re-encoded
+  if (best.buffer.length >= originalBuffer.length) {
+    logEvent(`↩️ Compressed ${fileName} is not smaller than the original, uploading the original`, {
+      file: fileName,
+      batch,
+      stage: "compress",
+      sizeBefore: originalBuffer.length,
+      sizeAfter: originalBuffer.length,
+    });
+    return { buffer: originalBuffer, profile: null };
+  }
+
+  const compressionRatio = (((originalBuffer.length - best.buffer.length) / originalBuffer.length) * 100).toFixed(2);
+  logEvent(`📊 Compression achieved: ${compressionRatio}% reduction for ${fileName} (profile ${best.profile})`, {
+    file: fileName,
+    batch,
+    stage: "compress",
+    profile: best.profile,
+    sizeBefore: originalBuffer.length,
+    sizeAfter: best.buffer.length,
+  });
+  return best;
+}
+
+// fetch for the upload adapter: records latency and the status code (or failure category) for /metrics
+async function postToUploadApi(url, init) {
+  const endTimer = metrics.uploadDuration.startTimer();
+  let status;
+  try {
+    const response = await fetch(url, init);
+    status = String(response.status);
+    return response;
+  } catch (error) {
+    status = classifyError(error);
+    throw error;
+  } finally {
+    metrics.uploadRequests.inc({ status });
+    const seconds = endTimer({ status });
+    logEvent(`🌐 Upload API request: ${status} after ${Math.round(seconds * 1000)} ms`, { level: "debug", stage: "upload", code: status, durationMs: Math.round(seconds * 1000) });
+  }
+}
+
+// Progress callback for uploadAdapter.send: keeps the figures the dashboard shows and, for uploads big enough
+// to take a while, logs every quarter
+function reportUploadProgress({ files, sent, total }) {
+  const quarter = (bytes) => Math.floor((bytes / total) * 4);
+  const previous = uploadProgress.get(files[0])?.sent ?? 0;
+  files.forEach((file) => uploadProgress.set(file, { sent, total }));
+
+  if (total >= PROGRESS_LOG_MIN_BYTES && sent < total && quarter(sent) > quarter(previous)) {
+    const mb = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+    logEvent(`📶 Uploading ${files.join(", ")}: ${quarter(sent) * 25}% (${mb(sent)}/${mb(total)} MB)`, { file: files.join(", "), stage: "upload" });
   }
 }
 
@@ -402,10 +1214,9 @@ function splitIntoBatches(files, batchSize) {
   return batches;
 }
 
-// Upload files to system API
-async function uploadToSystem(files) {
+// Upload files to system API in one request
+async function uploadToSystem(files, { compress = true } = {}) {
   try {
-    const formData = new FormData();
     const existingFiles = [];
 
     // First verify which files still exist and can be processed
@@ -422,83 +1233,85 @@ async function uploadToSystem(files) {
       return { success: false, error: "No valid files to process" };
     }
 
-    // Process each existing file
-    for (const filePath of existingFiles) {
-      try {
-        // Double check file still exists before compression
-        if (!fs.existsSync(filePath)) {
+    // Compress the files in parallel; the Ghostscript pool limits how many run at once.
+    // Each file is read once, for the bytes to send and the checksum of the file as it sits in the upload folder.
+    // `sizes` is only set when compression ran, for the report.
+    const prepared = await Promise.all(
+      existingFiles.map(async (filePath) => {
+        let original;
+        try {
+          original = fs.readFileSync(filePath);
+        } catch {
           logEvent(`⚠️ File ${path.basename(filePath)} was removed during processing, skipping`);
-          continue;
+          return null;
         }
+        const sha256 = sha256Buffer(original);
 
-        logEvent(`🔄 Compressing ${path.basename(filePath)} before upload`);
-
-        // Get original file size
-        const originalStats = fs.statSync(filePath);
-        const originalSize = originalStats.size;
-
-        // Compress the PDF
-        const compressedBuffer = await compressPDFInMemory(filePath);
-
-        // Compare sizes
-        const compressionRatio = (((originalSize - compressedBuffer.length) / originalSize) * 100).toFixed(2);
-        logEvent(`📊 Compression achieved: ${compressionRatio}% reduction for ${path.basename(filePath)}`);
+        if (!compress) {
+          return { filePath, buffer: original, sha256 };
+        }
 
-        // Create a Blob from the compressed buffer
-        formData.append("files", new Blob([compressedBuffer], { type: "application/pdf" }), path.basename(filePath));
+        try {
+          logEvent(`🔄 Compressing ${path.basename(filePath)} before upload`);
+          uploadJournal.record(filePath, FILE_STATES.COMPRESSING);
 
-        logEvent(`✅ Compressed ${path.basename(filePath)} successfully`);
-      } catch (compressionError) {
-        logEvent(`⚠️ Compression failed for ${path.basename(filePath)}, using original file: ${compressionError}`);
+          // Compress the PDF (falls back to the original if that isn't smaller)
+          const { buffer: compressedBuffer } = await compressForUpload(filePath, original);
 
-        // Check if file still exists before trying to read it
-        if (!fs.existsSync(filePath)) {
-          logEvent(`⚠️ File ${path.basename(filePath)} no longer exists, skipping`);
-          continue;
+          logEvent(`✅ Compressed ${path.basename(filePath)} successfully`);
+          return { filePath, buffer: compressedBuffer, sha256, sizes: { sizeBefore: original.length, sizeAfter: compressedBuffer.length } };
+        } catch (compressionError) {
+          logEvent(`⚠️ Compression failed for ${path.basename(filePath)}, using original file: ${compressionError.message || compressionError}`);
+          return { filePath, buffer: original, sha256 };
         }
+      }),
+    );
 
-        // If compression fails, use original file
-        const fileBuffer = fs.readFileSync(filePath);
-        formData.append("files", new Blob([fileBuffer], { type: "application/pdf" }), path.basename(filePath));
-      }
-    }
-
-    if (formData.entries().next().done) {
+    // Send them in queue order; only these are journaled and reconciled against the answer
+    const ready = prepared.filter(Boolean);
+    if (ready.length === 0) {
       return { success: false, error: "No files were successfully prepared for upload" };
     }
-
-    logEvent(`📤 Uploading batch of ${existingFiles.length} file(s) to system`);
+    const sentFiles = ready.map(({ filePath }) => filePath);
+    const checksums = await Promise.all(ready.map(({ filePath, sha256 }) => uploadChecksum(filePath, sha256)));
+    const uploads = ready.map(({ filePath, buffer }, index) => ({ name: path.basename(filePath), buffer, key: checksums[index] }));
+
+    logEvent(`📤 Uploading batch of ${sentFiles.length} file(s) to system`);
+    for (const { filePath, sha256, sizes } of ready) {
+      // Kept with the uploaded state, see alreadyUploaded and generateReport
+      uploadJournal.record(filePath, FILE_STATES.UPLOADING, { sha256, ...sizes });
+    }
     logCsvEvent({
       folder: UPLOAD_FOLDER,
-      file: existingFiles.join(", "),
+      file: sentFiles.join(", "),
       status: "Info",
       action: "System Upload Started",
       message: "Initiating upload to system API",
     });
 
-    const response = await fetch("https://devpahsu.paperevaluation.com/api/v1/assessment/answer-code-bulk", {
-      method: "POST",
-      body: formData,
-      headers: {
-        // Remove any content-type header to let the browser set it with the boundary
-        // 'Content-Type': 'multipart/form-data' // Let browser set this
-      },
+    const response = await uploadAdapter.send(uploads, {
+      // Same booklets, same key: lets the API ignore a repeated request after a lost response
+      idempotencyKey: checksums.length === 1 ? checksums[0] : combinedChecksum(checksums),
+      signal: shutdownController.signal,
+      onProgress: reportUploadProgress,
     });
 
     if (!response.ok) {
-      throw new Error(`Upload failed with status: ${response.status}`);
+      throw httpError(`Upload failed with status: ${response.status}`, response.status);
     }
 
-    const result = await response.json();
-    return { success: true, result, processedFiles: existingFiles };
+    const result = uploadAdapter.parse(await response.json());
+    return { success: true, result, processedFiles: sentFiles };
   } catch (error) {
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, category: classifyError(error) };
+  } finally {
+    files.forEach((filePath) => uploadProgress.delete(path.basename(filePath)));
   }
 }
 
-// Move files after upload attempt
-function moveFilesAfterUpload(files, success) {
-  const targetFolder = success ? SYSTEM_UPLOADED : UPLOAD_ERROR;
+// Move files after upload attempt; uploaded ones go to the upload stage's output folder
+function moveFilesAfterUpload(files, success, uploadedFolder = SYSTEM_UPLOADED) {
+  const targetFolder = success ? uploadedFolder : UPLOAD_ERROR;
 
   files.forEach((filePath) => {
     const fileName = path.basename(filePath);
@@ -527,70 +1340,224 @@ function moveFilesAfterUpload(files, success) {
   });
 }
 
-// Upload Queue Implementation
-class UploadQueue {
-  constructor() {
-    this.queue = new Set(); // Using Set to prevent duplicates
-    this.isProcessing = false;
-    this.processedFiles = new Set(); // Track processed files
-  }
+// Whether a file in the upload folder is the one the API accepted in an earlier run (journal says uploaded and
+// the content matches), so it only needs moving on. A different file under the same name gets uploaded.
+async function alreadyUploaded(filePath) {
+  if (uploadJournal.getState(filePath) !== FILE_STATES.UPLOADED) return false;
 
-  // Add files to queue
+  const sha256 = await sha256File(filePath).catch(() => null);
+  if (sha256 && uploadJournal.isUploaded(filePath, sha256)) return true;
+
+  logEvent(`🔁 ${path.basename(filePath)} was uploaded before, but this file has different content; uploading it`, {
+    file: path.basename(filePath),
+    stage: "upload",
+  });
+  uploadJournal.record(filePath, FILE_STATES.QUEUED);
+  return false;
+}
+
+// Record why a file failed, so it can be classified and requeued to the right stage later
+function recordFailure(filePath, { stage, category, reason }) {
+  uploadJournal.record(filePath, FILE_STATES.FAILED, { stage, category, error: reason });
+  fileSettled(path.basename(filePath));
+}
+
+// Upload Queue Implementation
+class UploadQueue {
+  constructor(journal) {
+    this.queue = new Set(); // Using Set to prevent duplicates
+    this.isProcessing = false;
+    this.processedFiles = new Set(); // Files handled this run that are still in the upload folder
+    this.journal = journal; // Durable state shared across restarts
+    this.attempts = new Map(); // Failed tries per file, for automatic retries of transient failures
+    this.batchTimer = null;
+    this.compress = true; // Off when the compress stage isn't enabled on this station
+    this.offlineBuffer = null; // Set by the upload stage to hold batches while the API is unreachable
+    this.output = SYSTEM_UPLOADED; // Where uploaded files go; set by the upload stage
+  }
+
+  // Add files to queue
   enqueue(files) {
+    // Shutting down: whatever is in the upload folder is picked up on the next start
+    if (shuttingDown) return;
+
     let newFiles = 0;
     for (const file of files) {
       // Only add if not already in queue and not previously processed
-      if (!this.queue.has(file) && !this.processedFiles.has(file)) {
-        this.queue.add(file);
-        newFiles++;
+      if (this.queue.has(file) || this.processedFiles.has(file)) continue;
+
+      // Journaled as uploaded: compared by checksum first, see recoverUploaded
+      if (this.journal.getState(file) === FILE_STATES.UPLOADED) {
+        this.recoverUploaded(file);
+        continue;
       }
+
+      this.journal.record(file, FILE_STATES.QUEUED);
+      this.queue.add(file);
+      newFiles++;
     }
     if (newFiles > 0) {
       logEvent(`📥 Added ${newFiles} new file(s) to upload queue. Queue size: ${this.queue.size}`);
+      this.scheduleProcessing();
+    }
+  }
+
+  // Start on a full batch right away; otherwise give the rest of a batch folder a moment to arrive
+  scheduleProcessing() {
+    if (this.queue.size >= UPLOAD_BATCH_SIZE) {
+      clearTimeout(this.batchTimer);
+      this.batchTimer = null;
       this.processQueue();
+    } else if (!this.batchTimer) {
+      this.batchTimer = setTimeout(() => {
+        this.batchTimer = null;
+        this.processQueue();
+      }, UPLOAD_BATCH_WINDOW_MS);
     }
   }
 
-  // Process queue
+  // Accepted by the API in an earlier run but never moved out: finish the move, don't re-upload.
+  // A different file under the same name is queued like any other.
+  async recoverUploaded(file) {
+    if (await alreadyUploaded(file)) {
+      logEvent(`♻️ ${path.basename(file)} was already uploaded before restart, skipping upload`);
+      moveFilesAfterUpload([file], true, this.output);
+      this.markHandled(file);
+    } else {
+      this.enqueue([file]);
+    }
+  }
+
+  // Remember a file only while it's still in the upload folder, so it can be requeued once moved back
+  markHandled(file) {
+    if (fs.existsSync(file)) {
+      this.processedFiles.add(file);
+    }
+  }
+
+  // Process queue, one batch per request
   async processQueue() {
-    if (this.isProcessing || this.queue.size === 0) return;
+    if (this.isProcessing || this.queue.size === 0 || uploadsPaused || shuttingDown) return;
 
+    let held = false;
     try {
       this.isProcessing = true;
-      const file = Array.from(this.queue)[0]; // Get first file from Set
 
-      logEvent(`🔄 Processing file from queue: ${path.basename(file)}`);
+      // Hold the queue while the upload API is unreachable; the offline buffer restarts it
+      if (this.offlineBuffer && !(await checkInternetConnection(uploadAdapter.url))) {
+        logEvent(`⚠️ No connection to upload API, holding ${this.queue.size} queued file(s) until it's back`);
+        this.offlineBuffer.hold("upload-queue", () => this.processQueue());
+        held = true;
+        return;
+      }
+
+      const [batch] = splitIntoBatches(Array.from(this.queue), UPLOAD_BATCH_SIZE);
+      batch.forEach((file) => this.queue.delete(file));
 
-      const { success, result, error, processedFiles } = await uploadToSystem([file]);
+      logEvent(`🔄 Processing batch of ${batch.length} file(s) from queue: ${batch.map((file) => path.basename(file)).join(", ")}`);
 
-      if (success && processedFiles?.length > 0) {
-        logEvent(`✅ Successfully uploaded ${path.basename(file)}`);
-        moveFilesAfterUpload(processedFiles, true);
-        // Add to processed files set
-        processedFiles.forEach((f) => this.processedFiles.add(f));
+      const { success, result, error, category, processedFiles } = await track(uploadToSystem(batch, { compress: this.compress }));
+
+      if (!success && shutdownController.signal.aborted) {
+        // Cut short by shutdown, not a real failure: the files stay in the upload folder (see shutdown)
+        logEvent(`⏹️ Upload of ${batch.map((file) => path.basename(file)).join(", ")} interrupted by shutdown`, { level: "warn", stage: "upload" });
+      } else if (success) {
+        this.reconcile(processedFiles, result);
       } else {
-        logEvent(`❌ Failed to upload ${path.basename(file)}: ${error}`);
-        if (fs.existsSync(file)) {
-          moveFilesAfterUpload([file], false);
-        }
-        // Still mark as processed to prevent re-processing
-        this.processedFiles.add(file);
+        this.handleFailedRequest(batch, error, category);
       }
 
-      // Remove processed file from queue
-      this.queue.delete(file);
       logEvent(`📊 Remaining files in queue: ${this.queue.size}`);
     } catch (error) {
       logEvent(`❌ Error processing queue: ${error}`);
     } finally {
       this.isProcessing = false;
-      // Process next file if any
-      if (this.queue.size > 0) {
+      // Process next batch if any
+      if (this.queue.size > 0 && !held) {
         await this.processQueue();
       }
     }
   }
 
+  // The request went through: route each file by its own entry in the response
+  reconcile(files, result) {
+    const summary = { saved: 0, failed: 0 };
+
+    for (const file of files) {
+      const fileName = path.basename(file);
+      const outcome = uploadAdapter.outcome(fileName, result);
+      this.attempts.delete(file);
+
+      if (outcome.saved) {
+        // Journal first, so a crash before the move can't cause a second upload
+        this.journal.record(file, FILE_STATES.UPLOADED, uploadedFacts(this.journal.get(file)));
+        fileIndex.update(fileName, { uploadedAt: new Date().toISOString() });
+        moveFilesAfterUpload([file], true, this.output);
+        logCsvEvent({
+          folder: UPLOAD_FOLDER,
+          file: fileName,
+          status: "Pass",
+          action: "Upload Complete",
+          message: "File uploaded and processed successfully",
+        });
+        fileSettled(fileName);
+        summary.saved++;
+      } else {
+        const category = outcome.rejected ? FAILURE_CATEGORIES.API_REJECTED : FAILURE_CATEGORIES.UNKNOWN;
+        logEvent(`❌ Upload processing failed for ${fileName} (${category}): ${outcome.reason}`, { file: fileName, stage: "upload", code: category });
+        recordFailure(file, { stage: FAILURE_STAGES.UPLOAD, category, reason: outcome.reason });
+        moveFilesAfterUpload([file], false);
+        logCsvEvent({
+          folder: UPLOAD_FOLDER,
+          file: fileName,
+          status: "Fail",
+          action: outcome.rejected ? "Upload Failed" : "Upload Response",
+          message: `API Status: ${result.status}, Message: ${result.message}, Error: ${outcome.reason}`,
+        });
+        summary.failed++;
+      }
+
+      this.markHandled(file);
+    }
+
+    logEvent(`📋 Batch result: ${summary.saved} saved, ${summary.failed} failed (API status: ${result.status}, message: ${result.message})`);
+  }
+
+  // The whole request failed: retry transient failures per file, move the rest to the error folder
+  handleFailedRequest(files, error, category) {
+    for (const file of files) {
+      if (!fs.existsSync(file)) continue;
+
+      const attempt = (this.attempts.get(file) || 0) + 1;
+      if (retryPolicy.shouldRetry(category, attempt)) {
+        // Transient failure: leave the file where it is and try again later
+        const delay = retryPolicy.delayFor(attempt);
+        this.attempts.set(file, attempt);
+        logEvent(`🔁 Upload of ${path.basename(file)} failed (${category}): ${error}. Retry ${attempt}/${retryPolicy.maxAttempts - 1} in ${delay / 1000}s`, {
+          level: "warn",
+          file: path.basename(file),
+          stage: "upload",
+          code: category,
+        });
+        setTimeout(() => this.enqueue([file]), delay);
+      } else {
+        logEvent(`❌ Failed to upload ${path.basename(file)} (${category}): ${error}`, { file: path.basename(file), stage: "upload", code: category });
+        recordFailure(file, { stage: FAILURE_STAGES.UPLOAD, category, reason: error });
+        this.attempts.delete(file);
+        moveFilesAfterUpload([file], false);
+        logCsvEvent({
+          folder: UPLOAD_FOLDER,
+          file: path.basename(file),
+          status: "Fail",
+          action: "Upload Failed",
+          message: `[${category}] ${error}`,
+        });
+        // Still mark as processed to prevent re-processing
+        this.markHandled(file);
+      }
+    }
+  }
+
   // Get queue size
   get size() {
     return this.queue.size;
@@ -603,7 +1570,7 @@ class UploadQueue {
 }
 
 // Create upload queue instance
-const uploadQueue = new UploadQueue();
+const uploadQueue = new UploadQueue(uploadJournal);
 
 // Modify processUploadFolder to handle individual files
 async function processUploadFolder(newFile = null) {
@@ -628,18 +1595,41 @@ async function processUploadFolder(newFile = null) {
 }
 
 // Handle new folder in scan folder
-async function handleNewFolder(dirPath) {
+async function handleNewFolder(dirPath, stage) {
   try {
-    const { folderName, pdfs } = await stabilizeAndPrepareFolder(dirPath);
+    const prepared = await stabilizeAndPrepareFolder(dirPath);
+    // No PDFs (yet), e.g. a folder holding only its roster: logged and cleaned up there
+    if (!prepared) return;
+
+    const { folderName, pdfs } = prepared;
 
     if (folderName) {
       logEvent(`✅ Successfully processed folder: ${dirPath}`);
     }
 
-    logEvent(`📄 ${pdfs.length} PDF(s) found in ${dirPath}`);
+    logEvent(`📄 ${pdfs.length} PDF(s) found in ${dirPath}`, { folder: dirPath, batch: folderName, stage: "intake" });
+    metrics.filesDetected.inc({ stage: "intake" }, pdfs.length);
     logCsvEvent({ folder: dirPath, file: "", status: "Pass", action: "PDFs Found", message: `${pdfs.length} PDFs` });
 
-    await moveToDestinationFolder(dirPath, LINEARIZED_FOLDER, pdfs);
+    // Broken or out-of-limits PDFs are quarantined before anything else touches them
+    let accepted = pdfs;
+    if (stage.inline.includes("validate")) {
+      accepted = [];
+      for (const file of pdfs) {
+        if (await passesValidation(path.join(dirPath, file), dirPath)) accepted.push(file);
+      }
+    }
+
+    const handedOff = await moveToDestinationFolder(dirPath, stage.output, accepted, {
+      report: stage.inline.includes("report"),
+      linearize: stage.inline.includes("linearize"),
+      blankPages: stage.inline.includes("blank-pages"),
+    });
+    reconcileBatch(folderName, { intake: true });
+
+    // The barcode stage zips the batch once it has checked all of these (see packageWhenChecked)
+    batchLedger.handOff(folderName, handedOff);
+    await packageWhenChecked(folderName);
 
     // Clean up the original folder after moving files
     cleanupOriginalFolder(dirPath);
@@ -656,9 +1646,10 @@ async function handleNewFolder(dirPath) {
 }
 
 // Handle new PDF file in scan folder
-async function handleNewPDF(filePath) {
+async function handleNewPDF(filePath, stage) {
   try {
     logEvent(`📄 New PDF detected: ${filePath}`);
+    metrics.filesDetected.inc({ stage: "intake" });
     logCsvEvent({
       folder: SCANNED_FOLDER,
       file: path.basename(filePath),
@@ -670,15 +1661,36 @@ async function handleNewPDF(filePath) {
     // Wait a bit to ensure file is completely written
     await new Promise((resolve) => setTimeout(resolve, 2000));
 
+    if (stage.inline.includes("validate") && !(await passesValidation(filePath, SCANNED_FOLDER))) {
+      return;
+    }
+
+    // Same booklet scanned again: set it aside instead of sending it down the pipeline
+    const sha256 = await sha256File(filePath);
+    const duplicate = findDuplicate(path.basename(filePath), sha256);
+    if (duplicate) {
+      moveToDuplicates(filePath, duplicate, SCANNED_FOLDER);
+      return;
+    }
+    fileIndex.update(path.basename(filePath), { batch: null, scanner: SCANNER_NAME, pc: PC_NAME, sha256 });
+
+    const blank = stage.inline.includes("blank-pages") ? await handleBlankPages(filePath) : null;
+
     // Generate and save report
-    await generateAndSaveReport(path.basename(filePath), filePath);
+    if (stage.inline.includes("report")) {
+      await generateAndSaveReport(path.basename(filePath), filePath, { blankPages: blank });
+    }
 
-    // Move to linearized folder
+    // Move to the next stage's folder (linearized folder unless the barcode check is off)
     const fileName = path.basename(filePath);
-    const linearizedPath = path.join(LINEARIZED_FOLDER, fileName);
+    const linearizedPath = path.join(stage.output, fileName);
 
-    fs.renameSync(filePath, linearizedPath);
-    logEvent(`📄 Moved ${fileName} to linearized folder`);
+    if (stage.inline.includes("linearize")) {
+      await linearizeAndMove(filePath, linearizedPath);
+    } else {
+      fs.renameSync(filePath, linearizedPath);
+    }
+    logEvent(`📄 Moved ${fileName} to ${path.basename(stage.output)}`);
     logCsvEvent({
       folder: SCANNED_FOLDER,
       file: fileName,
@@ -698,7 +1710,7 @@ async function handleNewPDF(filePath) {
   }
 }
 
-const scanWatcher = () => {
+const scanWatcher = (stage) => {
   // Setup all watchers
   const scanWatcher = chokidar.watch(SCANNED_FOLDER, {
     ignoreInitial: false,
@@ -709,23 +1721,25 @@ const scanWatcher = () => {
     },
     ignored: /(^|[\/\\])\../, // Ignore hidden files
   });
+  watchers.push(scanWatcher);
 
   // Handle new folders
   scanWatcher.on("addDir", (dirPath) => {
     if (dirPath !== SCANNED_FOLDER) {
-      handleNewFolder(dirPath);
+      track(handleNewFolder(dirPath, stage));
     }
   });
 
   // Handle new PDF files
   scanWatcher.on("add", (filePath) => {
     if (path.dirname(filePath) === SCANNED_FOLDER && filePath.toLowerCase().endsWith(".pdf")) {
-      handleNewPDF(filePath);
+      track(handleNewPDF(filePath, stage));
     }
   });
 
   scanWatcher.on("error", (error) => {
     logEvent(`❌ Watcher error: ${error}`);
+    metrics.watcherErrors.inc({ watcher: "scan" });
     logCsvEvent({ folder: SCANNED_FOLDER, file: "", status: "Fail", action: "Watcher Error", message: error.toString() });
   });
 
@@ -734,11 +1748,14 @@ const scanWatcher = () => {
 };
 
 // Setup watcher for linearized folder
-function setupLinearizedWatcher() {
-  const OCR_API_URL = process.env.OCR_API_URL || "https://osm-barcode-reader-worker.data-0e9.workers.dev/api/extract";
+function setupLinearizedWatcher(stage) {
+  const OCR_API_URL = simulator?.ocrUrl || process.env.OCR_API_URL || "https://osm-barcode-reader-worker.data-0e9.workers.dev/api/extract";
   const MAX_RETRIES = 3;
   const RETRY_DELAY = 1000;
 
+  const offlineBuffer = createOfflineBuffer("OCR check", OCR_API_URL);
+  packageAfterBarcode = stage.inline.includes("package");
+
   const linearizedWatcher = chokidar.watch(LINEARIZED_FOLDER, {
     ignoreInitial: false,
     depth: 0,
@@ -747,6 +1764,7 @@ function setupLinearizedWatcher() {
       pollInterval: 500,
     },
   });
+  watchers.push(linearizedWatcher);
 
   // Helper function to retry API calls
   async function retryOperation(operation, retries = MAX_RETRIES) {
@@ -754,7 +1772,7 @@ function setupLinearizedWatcher() {
       try {
         return await operation();
       } catch (error) {
-        if (i === retries - 1) throw error;
+        if (i === retries - 1 || shutdownController.signal.aborted) throw error;
         await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY * (i + 1)));
       }
     }
@@ -772,107 +1790,271 @@ function setupLinearizedWatcher() {
     }
   }
 
-  linearizedWatcher.on("add", async (filePath) => {
-    if (!filePath.toLowerCase().endsWith(".pdf")) return;
+  // Send the PDF to the remote OCR worker
+  async function readBarcodeRemotely(filePath, fileName) {
+    const fileBuffer = await fs.promises.readFile(filePath);
 
-    logEvent(`📄 New file detected in linearized folder: ${path.basename(filePath)}`);
+    // Prepare form data for OCR API
+    const formData = new FormData();
+    formData.append("file", new Blob([fileBuffer], { type: "application/pdf" }), fileName);
+
+    // Call OCR API with retry mechanism
+    const response = await retryOperation(async () => {
+      const resp = await fetchWithDeadline(
+        OCR_API_URL,
+        { method: "POST", body: formData },
+        { timeoutMs: CONFIG.barcode?.timeoutMs ?? DEFAULT_REQUEST_TIMEOUT_MS, signal: shutdownController.signal },
+      );
+
+      if (!resp.ok) {
+        throw httpError(`OCR API returned status ${resp.status}`, resp.status);
+      }
 
-    // Check internet connection first
-    const isOnline = await checkInternetConnection();
-    if (!isOnline) {
-      logEvent("⚠️ No internet connection, skipping OCR check...");
-      return;
+      return resp;
+    });
+
+    return { ...(await response.json()), source: "remote" };
+  }
+
+  // Render the first page (or configured region) with Ghostscript and decode it in-process
+  async function readBarcodeOnStation(filePath) {
+    const { page, dpi, region, formats } = CONFIG.barcode || {};
+    const result = await readBarcodeLocally(filePath, { pool: gsPool, gsCommand: gsPackage, page, dpi, region, formats, signal: shutdownController.signal });
+    return { ...result, source: "local" };
+  }
+
+  // Read the barcode the way this station is configured to (BARCODE_MODE).
+  // Resolves to { data: { barcode } } either way, or null when the OCR API is needed but unreachable.
+  async function readBarcode(filePath, fileName) {
+    switch (BARCODE_MODE) {
+      case "local":
+        return readBarcodeOnStation(filePath);
+
+      case "local-then-remote": {
+        const local = await readBarcodeOnStation(filePath).catch((error) => {
+          logEvent(`⚠️ Local barcode reader failed for ${fileName}: ${error.message}`);
+          return null;
+        });
+        if (local?.data.barcode) return local;
+
+        logEvent(`🔁 No barcode found locally in ${fileName}, asking OCR API`);
+        if (!(await checkInternetConnection(OCR_API_URL))) return null;
+        return readBarcodeRemotely(filePath, fileName);
+      }
+
+      case "remote-then-local": {
+        let remoteError = null;
+        if (await checkInternetConnection(OCR_API_URL)) {
+          try {
+            return await readBarcodeRemotely(filePath, fileName);
+          } catch (error) {
+            remoteError = error;
+            logEvent(`⚠️ OCR API failed for ${fileName} (${error.message}), falling back to local barcode reader`);
+          }
+        } else {
+          logEvent(`📴 OCR API unreachable, reading ${fileName} locally`);
+        }
+
+        try {
+          return await readBarcodeOnStation(filePath);
+        } catch (localError) {
+          // Surface the remote error when there was one, so transient failures are still retried
+          throw remoteError || localError;
+        }
+      }
+
+      case "cross-check": {
+        if (!(await checkInternetConnection(OCR_API_URL))) return null;
+
+        const [remote, local] = await Promise.all([
+          readBarcodeRemotely(filePath, fileName),
+          readBarcodeOnStation(filePath).catch((error) => {
+            logEvent(`⚠️ Local barcode reader failed for ${fileName}: ${error.message}`);
+            return null;
+          }),
+        ]);
+        const remoteBarcode = remote?.data?.barcode;
+        const localBarcode = local?.data?.barcode;
+
+        // Compared under the matching rules, so e.g. a dropped leading zero or check digit isn't a disagreement
+        if (remoteBarcode && localBarcode && !sameBooklet({ barcode: remoteBarcode }, { barcode: localBarcode }, BARCODE_MATCHING)) {
+          const error = new Error(`Cross-check mismatch: OCR API read "${remoteBarcode}", local reader read "${localBarcode}"`);
+          error.category = FAILURE_CATEGORIES.BARCODE_MISMATCH;
+          throw error;
+        }
+        if (!localBarcode) {
+          logEvent(`⚠️ Cross-check for ${fileName}: local reader found no barcode, using OCR API result only`);
+        }
+
+        const agreed = remoteBarcode || !local ? remote : local;
+        return { ...agreed, source: remoteBarcode && localBarcode ? "cross-check" : agreed.source };
+      }
+
+      default:
+        if (!(await checkInternetConnection(OCR_API_URL))) return null;
+        return readBarcodeRemotely(filePath, fileName);
     }
+  }
+
+  // Check one file's barcode; `attempt` counts automatic retries after transient failures.
+  // Tracked, so shutdown waits for checks in progress.
+  const checkBarcode = tracked(async (filePath, attempt = 1) => {
+    // Shutting down: the file stays here and is checked on the next start
+    if (shuttingDown || !filePath.toLowerCase().endsWith(".pdf")) return;
+
+    // It may have been moved away while waiting for a retry or for the connection to return
+    if (!fs.existsSync(filePath)) return;
+
+    logEvent(`📄 New file detected in linearized folder: ${path.basename(filePath)}`);
+    if (attempt === 1) metrics.filesDetected.inc({ stage: "barcode" });
 
     try {
       const fileName = path.basename(filePath);
       const fileExtension = path.extname(fileName);
 
-      // Read file with error handling
-      let fileBuffer;
-      try {
-        fileBuffer = await fs.promises.readFile(filePath);
-      } catch (readError) {
-        logEvent(`❌ Error reading file ${fileName}: ${readError.message}`);
+      logEvent(`🔍 Performing OCR check on ${fileName}`);
+
+      // Hold the file until the OCR API is reachable again, if this mode needs it
+      const result = await readBarcode(filePath, fileName);
+      if (result === null) {
+        logEvent(`⚠️ No connection to OCR API, holding ${fileName} until it's back (${offlineBuffer.size + 1} pending)`);
+        offlineBuffer.hold(filePath, () => checkBarcode(filePath, attempt));
         return;
       }
 
-      // Prepare form data for OCR API
-      const formData = new FormData();
-      formData.append("file", new Blob([fileBuffer], { type: "application/pdf" }), fileName);
+      if (!result || !result.data) {
+        throw new Error("Invalid response from OCR API");
+      }
 
-      logEvent(`🔍 Performing OCR check on ${fileName}`);
+      logEvent(`📋 OCR Result for ${fileName} (${result.source}): ${JSON.stringify(result.data)}`);
 
-      // Call OCR API with retry mechanism
-      const response = await retryOperation(async () => {
-        const resp = await fetch(OCR_API_URL, {
-          method: "POST",
-          body: formData,
-          timeout: 30000, // 30 second timeout
-        });
+      // Check the barcode against the file name (rules from CONFIG.barcode.matching)
+      const decision = matchBarcode(fileName, result.data.barcode, BARCODE_MATCHING);
+      if (decision.matched) {
+        metrics.barcodeChecks.inc({ result: "match" });
 
-        if (!resp.ok) {
-          throw new Error(`OCR API returned status ${resp.status}`);
+        // A booklet with this barcode went up already (scanned twice): don't send it again
+        const uploaded = fileIndex.findUploadedBooklet((booklet) => sameBooklet(booklet, { fileName, barcode: result.data.barcode }, BARCODE_MATCHING));
+        if (uploaded) {
+          moveToDuplicates(filePath, { original: uploaded, reason: "barcode already uploaded", barcode: result.data.barcode }, LINEARIZED_FOLDER);
+          fileSettled(fileName);
+          await barcodeChecked(fileName, "duplicate");
+          return;
         }
 
-        return resp;
-      });
-
-      const result = await response.json();
-
-      if (!result || !result.data) {
-        throw new Error("Invalid response from OCR API");
-      }
+        // Matched by a looser rule: optionally carry the decoded barcode as the file name from here on
+        let targetName = fileName;
+        if (BARCODE_MATCHING.rename && decision.rule !== "exact") {
+          const renamed = barcodeFileName(result.data.barcode, fileExtension);
+          if (fs.existsSync(path.join(stage.output, renamed))) {
+            logEvent(`⚠️ Not renaming ${fileName} to ${renamed}: already in ${path.basename(stage.output)}`, { file: fileName, stage: "barcode" });
+          } else {
+            targetName = renamed;
+          }
+        }
 
-      logEvent(`📋 OCR Result for ${fileName}: ${JSON.stringify(result.data)}`);
+        // Indexed at intake, possibly by another process on this station
+        if (!fileIndex.get(fileName)) fileIndex.refresh();
+        fileIndex.update(fileName, { barcode: result.data.barcode, barcodeCheck: "matched", ...(targetName !== fileName && { renamedTo: targetName }) });
+        if (targetName !== fileName) {
+          const { updatedAt, renamedTo, ...facts } = fileIndex.get(fileName);
+          fileIndex.update(targetName, { ...facts, renamedFrom: fileName });
+        }
+        const batch = fileIndex.get(fileName).batch;
+        if (packageAfterBarcode && batch) {
+          stageForPackage(filePath, batch, targetName);
+        }
 
-      // Check if barcode matches filename
-      if (result.data.barcode && result.data.barcode.length > 0 && fileName.replace(fileExtension, "") === result.data.barcode) {
-        // Move to upload folder
-        const uploadPath = path.join(UPLOAD_FOLDER, fileName);
+        // Move to the next stage's folder (upload folder unless this station stops here)
+        const uploadPath = path.join(stage.output, targetName);
         if (await safelyMoveFile(filePath, uploadPath)) {
-          logEvent(`✅ Barcode matched for ${fileName}, moved to upload folder`);
+          const renamed = targetName !== fileName ? ` as ${targetName}` : "";
+          logEvent(`✅ Barcode ${result.data.barcode} matched ${fileName} (rule: ${decision.rule}), moved to ${path.basename(stage.output)}${renamed}`, {
+            file: fileName,
+            stage: "barcode",
+            rule: decision.rule,
+          });
           logCsvEvent({
             folder: LINEARIZED_FOLDER,
             file: fileName,
             status: "Pass",
             action: "OCR Check & Move",
-            message: `Barcode matched: ${result.data.barcode}, moved to upload folder`,
+            message: `Barcode matched: ${result.data.barcode} (rule: ${decision.rule}), moved to upload folder${renamed}`,
           });
+          await packageWhenChecked(batch);
         }
       } else {
+        metrics.barcodeChecks.inc({ result: "mismatch" });
+        const rejectedBy = decision.rule ? ` (rule: ${decision.rule})` : "";
+
         // Move to error folder
+        recordFailure(filePath, {
+          stage: FAILURE_STAGES.BARCODE,
+          category: FAILURE_CATEGORIES.BARCODE_MISMATCH,
+          reason: `${decision.reason}${rejectedBy}`,
+        });
         const errorPath = path.join(ERROR_FOLDER, fileName);
         if (await safelyMoveFile(filePath, errorPath)) {
-          logEvent(`❌ Barcode mismatch for ${fileName}, moved to error folder`);
+          logEvent(`❌ Barcode mismatch for ${fileName}: ${decision.reason}${rejectedBy}, moved to error folder`, {
+            file: fileName,
+            stage: "barcode",
+            code: FAILURE_CATEGORIES.BARCODE_MISMATCH,
+            rule: decision.rule,
+          });
           logCsvEvent({
             folder: LINEARIZED_FOLDER,
             file: fileName,
             status: "Fail",
             action: "OCR Check",
-            message: `Barcode mismatch or not found. Expected: ${fileName.replace(fileExtension, "")}, Got: ${result.data.barcode || "none"}`,
+            message: `Barcode mismatch or not found. ${decision.reason}${rejectedBy}`,
           });
         }
+        await barcodeChecked(fileName, "mismatch");
       }
     } catch (error) {
-      logEvent(`❌ Error processing ${path.basename(filePath)}: ${error.message}`);
+      if (shutdownController.signal.aborted) {
+        logEvent(`⏹️ OCR check of ${path.basename(filePath)} interrupted by shutdown`, { level: "warn", file: path.basename(filePath), stage: "barcode" });
+        return;
+      }
+      const category = classifyError(error);
+
+      // Transient failure: leave the file where it is and check it again later
+      if (retryPolicy.shouldRetry(category, attempt)) {
+        const delay = retryPolicy.delayFor(attempt);
+        logEvent(`🔁 OCR check of ${path.basename(filePath)} failed (${category}): ${error.message}. Retry ${attempt}/${retryPolicy.maxAttempts - 1} in ${delay / 1000}s`, {
+          level: "warn",
+          file: path.basename(filePath),
+          stage: "barcode",
+          code: category,
+        });
+        setTimeout(() => checkBarcode(filePath, attempt + 1), delay);
+        return;
+      }
+
+      logEvent(`❌ Error processing ${path.basename(filePath)} (${category}): ${error.message}`, { file: path.basename(filePath), stage: "barcode", code: category });
+      metrics.barcodeChecks.inc({ result: category === FAILURE_CATEGORIES.BARCODE_MISMATCH ? "mismatch" : "error" });
       logCsvEvent({
         folder: LINEARIZED_FOLDER,
         file: path.basename(filePath),
         status: "Fail",
         action: "Process File",
-        message: error.toString(),
+        message: `[${category}] ${error.toString()}`,
       });
 
       // Move to error folder on processing error
+      recordFailure(filePath, { stage: FAILURE_STAGES.BARCODE, category, reason: error.message });
       const errorPath = path.join(ERROR_FOLDER, path.basename(filePath));
       await safelyMoveFile(filePath, errorPath);
       logEvent(`⚠️ Moved ${path.basename(filePath)} to error folder`);
+      await barcodeChecked(path.basename(filePath), "error");
     }
   });
 
+  linearizedWatcher.on("add", (filePath) => checkBarcode(filePath));
+
   linearizedWatcher.on("error", (error) => {
     logEvent(`❌ Linearized folder watcher error: ${error}`);
+    metrics.watcherErrors.inc({ watcher: "linearized" });
     logCsvEvent({
       folder: LINEARIZED_FOLDER,
       file: "",
@@ -886,13 +2068,12 @@ function setupLinearizedWatcher() {
 }
 
 // Setup upload folder watcher
-function setupUploadWatcher() {
-  const UPLOAD_API_URL = process.env.UPLOAD_API_URL || "https://devpahsu.paperevaluation.com/api/v1/assessment/answer-code-bulk";
+function setupUploadWatcher(stage) {
   const MAX_RETRIES = 3;
   const RETRY_DELAY = 1000;
 
   // Create necessary folders if they don't exist
-  [SYSTEM_UPLOADED, UPLOAD_ERROR].forEach((folder) => {
+  [stage.output, UPLOAD_ERROR].forEach((folder) => {
     if (!fs.existsSync(folder)) {
       fs.mkdirSync(folder, { recursive: true });
     }
@@ -904,7 +2085,7 @@ function setupUploadWatcher() {
       try {
         return await operation();
       } catch (error) {
-        if (i === retries - 1) throw error;
+        if (i === retries - 1 || shutdownController.signal.aborted) throw error;
         await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY * (i + 1)));
       }
     }
@@ -922,6 +2103,8 @@ function setupUploadWatcher() {
     }
   }
 
+  const offlineBuffer = createOfflineBuffer("Upload", uploadAdapter.url);
+
   const uploadWatcher = chokidar.watch(UPLOAD_FOLDER, {
     ignoreInitial: false,
     depth: 0,
@@ -930,17 +2113,50 @@ function setupUploadWatcher() {
       pollInterval: 500,
     },
   });
+  watchers.push(uploadWatcher);
+
+  // Upload one file; `attempt` counts automatic retries after transient failures.
+  // Tracked, so shutdown waits for uploads in progress.
+  const uploadFile = tracked(async (filePath, attempt = 1) => {
+    // Shutting down: the file stays here and is uploaded on the next start
+    if (shuttingDown || !filePath.toLowerCase().endsWith(".pdf")) return;
 
-  uploadWatcher.on("add", async (filePath) => {
-    if (!filePath.toLowerCase().endsWith(".pdf")) return;
+    // It may have been moved away while waiting for a retry or for the connection to return
+    if (!fs.existsSync(filePath)) return;
 
     const fileName = path.basename(filePath);
     logEvent(`📄 New file detected in upload folder: ${fileName}`);
 
-    // Check internet connection first
-    const isOnline = await checkInternetConnection();
+    // Accepted by the API in an earlier run but never moved out: finish the move, don't re-upload
+    if (await alreadyUploaded(filePath)) {
+      const successPath = path.join(stage.output, fileName);
+      if (await safelyMoveFile(filePath, successPath)) {
+        logEvent(`♻️ ${fileName} was already uploaded before restart, moved to uploaded folder without re-uploading`);
+        logCsvEvent({
+          folder: UPLOAD_FOLDER,
+          file: fileName,
+          status: "Pass",
+          action: "Upload Recovered",
+          message: "Already uploaded according to journal, moved without re-uploading",
+        });
+      }
+      return;
+    }
+
+    uploadJournal.record(filePath, FILE_STATES.QUEUED);
+
+    // Paused from the dashboard: park the file until uploads are resumed
+    if (uploadsPaused) {
+      logEvent(`⏸️ Uploads are paused, ${fileName} will be uploaded when they resume`);
+      pausedUploads.set(filePath, () => uploadFile(filePath, attempt));
+      return;
+    }
+
+    // Check internet connection first; hold the file until the upload API is reachable again
+    const isOnline = await checkInternetConnection(uploadAdapter.url);
     if (!isOnline) {
-      logEvent("⚠️ No internet connection, skipping upload...");
+      logEvent(`⚠️ No connection to upload API, holding ${fileName} until it's back (${offlineBuffer.size + 1} pending)`);
+      offlineBuffer.hold(filePath, () => uploadFile(filePath, attempt));
       return;
     }
 
@@ -954,22 +2170,21 @@ function setupUploadWatcher() {
         return;
       }
 
-      // Compress the PDF
-      let compressedBuffer;
-      try {
-        logEvent(`🔄 Compressing ${fileName} before upload`);
-        compressedBuffer = await compressPDFInMemory(filePath);
-        const compressionRatio = (((fileBuffer.length - compressedBuffer.length) / fileBuffer.length) * 100).toFixed(2);
-        logEvent(`📊 Compression achieved: ${compressionRatio}% reduction for ${fileName}`);
-      } catch (compressionError) {
-        logEvent(`⚠️ Compression failed for ${fileName}, using original file: ${compressionError}`);
-        compressedBuffer = fileBuffer;
+      // Compress the PDF, unless the compress stage is off on this station
+      let compressedBuffer = fileBuffer;
+      let sizes = {};
+      if (stage.inline.includes("compress")) {
+        try {
+          logEvent(`🔄 Compressing ${fileName} before upload`);
+          uploadJournal.record(filePath, FILE_STATES.COMPRESSING);
+          ({ buffer: compressedBuffer } = await compressForUpload(filePath, fileBuffer));
+          sizes = { sizeBefore: fileBuffer.length, sizeAfter: compressedBuffer.length };
+        } catch (compressionError) {
+          logEvent(`⚠️ Compression failed for ${fileName}, using original file: ${compressionError.message || compressionError}`);
+          compressedBuffer = fileBuffer;
+        }
       }
 
-      // Prepare form data
-      const formData = new FormData();
-      formData.append("files", new Blob([compressedBuffer], { type: "application/pdf" }), fileName);
-
       logEvent(`📤 Uploading file: ${fileName}`);
       logCsvEvent({
         folder: UPLOAD_FOLDER,
@@ -979,41 +2194,46 @@ function setupUploadWatcher() {
         message: "Initiating upload to system API",
       });
 
-      // Upload with retry mechanism
+      uploadJournal.record(filePath, FILE_STATES.UPLOADING, { sha256: await sha256File(filePath), ...sizes });
+
+      // Content checksum from intake, so the API can ignore a repeated upload of the same booklet
+      const idempotencyKey = await uploadChecksum(filePath);
+
+      // Upload with retry mechanism. A multipart upload starts over on every try, so quick retries are left to
+      // adapters that resume (chunked); otherwise the retry policy, with its backoff, takes over.
       const response = await retryOperation(async () => {
-        const resp = await fetch(UPLOAD_API_URL, {
-          method: "POST",
-          body: formData,
-          timeout: 30000, // 30 second timeout
+        const resp = await uploadAdapter.send([{ name: fileName, buffer: compressedBuffer, key: idempotencyKey }], {
+          idempotencyKey,
+          signal: shutdownController.signal,
+          onProgress: reportUploadProgress,
         });
 
         if (!resp.ok) {
-          throw new Error(`Upload failed with status: ${resp.status}`);
+          throw httpError(`Upload failed with status: ${resp.status}`, resp.status);
         }
 
         return resp;
-      });
-
-      const result = await response.json();
-
-      if (!result || !result.data) {
-        throw new Error("Invalid response from upload API");
-      }
+      }, uploadAdapter.resumable ? MAX_RETRIES : 1).finally(() => uploadProgress.delete(fileName));
 
-      // Process the API response
-      const { savedFiles, failedFiles } = result.data;
+      // Process the API response (see the target's response mapping)
+      const result = uploadAdapter.parse(await response.json());
 
       // Log the complete API response
       logEvent(`📋 API Response for ${fileName}:`);
       logEvent(`Status: ${result.status}`);
       logEvent(`Message: ${result.message}`);
-      logEvent(`Saved Files: ${JSON.stringify(savedFiles)}`);
-      logEvent(`Failed Files: ${JSON.stringify(failedFiles)}`);
+      logEvent(`Saved Files: ${JSON.stringify(result.saved)}`);
+      logEvent(`Failed Files: ${JSON.stringify(result.failed)}`);
 
       // Check if the current file was processed successfully
-      if (savedFiles.includes(fileName)) {
+      const outcome = uploadAdapter.outcome(fileName, result);
+      if (outcome.saved) {
+        // Journal first, so a crash before the move can't cause a second upload
+        uploadJournal.record(filePath, FILE_STATES.UPLOADED, uploadedFacts(uploadJournal.get(filePath)));
+        fileIndex.update(fileName, { uploadedAt: new Date().toISOString() });
+
         // Move to success folder
-        const successPath = path.join(SYSTEM_UPLOADED, fileName);
+        const successPath = path.join(stage.output, fileName);
         if (await safelyMoveFile(filePath, successPath)) {
           logEvent(`✅ Successfully uploaded ${fileName}`);
           logCsvEvent({
@@ -1024,20 +2244,16 @@ function setupUploadWatcher() {
             message: "File uploaded and processed successfully",
           });
         }
+        fileSettled(fileName);
       } else {
-        // Check if file is in failedFiles and extract error message
-        const fileNameWithoutExt = fileName.replace(".pdf", "");
-        const failedEntry = failedFiles.find((entry) => {
-          const [failedFileName] = entry.split(" - ");
-          return failedFileName.trim() === fileNameWithoutExt;
-        });
-
-        if (failedEntry) {
-          const [_, errorMessage] = failedEntry.split(" - ");
+        // Rejected by the API with an error message
+        if (outcome.rejected) {
+          const errorMessage = outcome.reason;
+          recordFailure(filePath, { stage: FAILURE_STAGES.UPLOAD, category: FAILURE_CATEGORIES.API_REJECTED, reason: errorMessage });
           // Move to error folder with the specific error message
           const errorPath = path.join(UPLOAD_ERROR, fileName);
           if (await safelyMoveFile(filePath, errorPath)) {
-            logEvent(`❌ Upload processing failed for ${fileName}: ${errorMessage}`);
+            logEvent(`❌ Upload processing failed for ${fileName}: ${errorMessage}`, { file: fileName, stage: "upload", code: FAILURE_CATEGORIES.API_REJECTED });
             logCsvEvent({
               folder: UPLOAD_FOLDER,
               file: fileName,
@@ -1049,6 +2265,11 @@ function setupUploadWatcher() {
         } else {
           // Handle case where file is not found in either list
           logEvent(`⚠️ Unexpected response for ${fileName}: File not found in response lists`);
+          recordFailure(filePath, {
+            stage: FAILURE_STAGES.UPLOAD,
+            category: FAILURE_CATEGORIES.UNKNOWN,
+            reason: "File not found in response lists",
+          });
           const errorPath = path.join(UPLOAD_ERROR, fileName);
           if (await safelyMoveFile(filePath, errorPath)) {
             logEvent(`⚠️ Moved ${fileName} to error folder due to unexpected response`);
@@ -1063,13 +2284,34 @@ function setupUploadWatcher() {
         }
       }
     } catch (error) {
-      logEvent(`❌ Error processing ${fileName}: ${error.message}`);
+      if (shutdownController.signal.aborted) {
+        // The journal still says uploading; shutdown marks it for retry
+        logEvent(`⏹️ Upload of ${fileName} interrupted by shutdown`, { level: "warn", file: fileName, stage: "upload" });
+        return;
+      }
+      const category = classifyError(error);
+
+      // Transient failure: leave the file where it is and upload it again later
+      if (retryPolicy.shouldRetry(category, attempt)) {
+        const delay = retryPolicy.delayFor(attempt);
+        logEvent(`🔁 Upload of ${fileName} failed (${category}): ${error.message}. Retry ${attempt}/${retryPolicy.maxAttempts - 1} in ${delay / 1000}s`, {
+          level: "warn",
+          file: fileName,
+          stage: "upload",
+          code: category,
+        });
+        setTimeout(() => uploadFile(filePath, attempt + 1), delay);
+        return;
+      }
+
+      logEvent(`❌ Error processing ${fileName} (${category}): ${error.message}`, { file: fileName, stage: "upload", code: category });
+      recordFailure(filePath, { stage: FAILURE_STAGES.UPLOAD, category, reason: error.message });
       logCsvEvent({
         folder: UPLOAD_FOLDER,
         file: fileName,
         status: "Fail",
         action: "Upload Failed",
-        message: error.toString(),
+        message: `[${category}] ${error.toString()}`,
       });
 
       // Move to error folder
@@ -1080,8 +2322,25 @@ function setupUploadWatcher() {
     }
   });
 
+  // Batches go through the upload queue; a batch size of 1 keeps the per-file upload above
+  uploadQueue.compress = stage.inline.includes("compress");
+  uploadQueue.offlineBuffer = offlineBuffer;
+  uploadQueue.output = stage.output;
+
+  uploadWatcher.on("add", (filePath) => {
+    if (filePath.toLowerCase().endsWith(".pdf")) metrics.filesDetected.inc({ stage: "upload" });
+
+    if (UPLOAD_BATCH_SIZE === 1) {
+      uploadFile(filePath);
+    } else if (filePath.toLowerCase().endsWith(".pdf")) {
+      logEvent(`📄 New file detected in upload folder: ${path.basename(filePath)}`);
+      uploadQueue.enqueue([filePath]);
+    }
+  });
+
   uploadWatcher.on("error", (error) => {
     logEvent(`❌ Upload folder watcher error: ${error}`);
+    metrics.watcherErrors.inc({ watcher: "upload" });
     logCsvEvent({
       folder: UPLOAD_FOLDER,
       file: "",
@@ -1101,24 +2360,689 @@ function setupUploadWatcher() {
   });
 }
 
-// Main runner
-const main = async () => {
-  if (!fs.existsSync(CSV_LOG_FILE)) {
-    fs.writeFileSync(CSV_LOG_FILE, "Timestamp,Scanner,PC,Folder,File,Status,Action,Message\n");
+// Replay the upload journal so a restart resumes exactly where the last run stopped
+async function recoverUploadJournal(stage) {
+  uploadJournal.load();
+  uploadJournalOwned = true;
+
+  for (const record of [...uploadJournal.entries.values()]) {
+    const pendingPath = path.join(UPLOAD_FOLDER, record.file);
+    if (!fs.existsSync(pendingPath)) continue;
+
+    switch (record.state) {
+      case FILE_STATES.UPLOADED:
+        // The API accepted it but we stopped before the move (unless this is a different file by the same name)
+        if (await alreadyUploaded(pendingPath)) {
+          logEvent(`♻️ Recovering ${record.file}: uploaded before restart, moving without re-uploading`);
+          moveFilesAfterUpload([pendingPath], true, stage.output);
+        }
+        break;
+      case FILE_STATES.UPLOADING:
+        logEvent(`⚠️ Recovering ${record.file}: upload was in flight when the last run stopped, retrying`);
+        break;
+      default:
+        logEvent(`♻️ Recovering ${record.file}: resuming from state "${record.state}"`);
+    }
   }
 
-  // Ask user for folder input
-  await promptForFolders();
+  logEvent(`📒 Upload journal loaded: ${uploadJournal.entries.size} file(s) tracked`);
+}
 
-  // Setup Scan Folder Watcher
-  // scanWatcher();
+// Stop sending new uploads; requests already on the wire finish normally
+function pauseUploads() {
+  if (!uploadsPaused) {
+    uploadsPaused = true;
+    logEvent("⏸️ Uploads paused");
+    logCsvEvent({ folder: UPLOAD_FOLDER, file: "", status: "Info", action: "Uploads Paused", message: "Paused from the dashboard" });
+  }
+  return { paused: uploadsPaused };
+}
+
+function resumeUploads() {
+  if (uploadsPaused) {
+    uploadsPaused = false;
+    logEvent(`▶️ Uploads resumed, ${pausedUploads.size + uploadQueue.size} file(s) waiting`);
+    logCsvEvent({ folder: UPLOAD_FOLDER, file: "", status: "Info", action: "Uploads Resumed", message: "Resumed from the dashboard" });
+
+    const waiting = Array.from(pausedUploads.values());
+    pausedUploads.clear();
+    waiting.forEach((upload) => upload());
+    uploadQueue.processQueue();
+  }
+  return { paused: uploadsPaused };
+}
+
+// Batch folder a scan-log row belongs to: from the file index, or the row's folder when it is a batch folder
+function batchOfEvent(event) {
+  return fileIndex.get(event.File)?.batch || (path.dirname(event.Folder || "") === SCANNED_FOLDER ? path.basename(event.Folder) : null);
+}
+
+// Pass/fail rates from scan-log.csv, re-read at most every 10s while it keeps changing
+let rateCache = { key: null, at: 0, rates: null };
+function scanLogRates() {
+  const stats = fs.statSync(CSV_LOG_FILE, { throwIfNoEntry: false });
+  const key = stats ? `${stats.mtimeMs}:${stats.size}` : "missing";
+  if (rateCache.key !== key && Date.now() - rateCache.at >= 10000) {
+    rateCache = { key, at: Date.now(), rates: passFailRates(readCsvRecords(CSV_LOG_FILE), { batchOf: batchOfEvent }) };
+  }
+  return rateCache.rates;
+}
+
+// Everything the dashboard page shows, apart from the log lines it receives live
+function getDashboardSnapshot() {
+  const status = getPipelineStatus();
+  return {
+    ...status,
+    uploadsPaused,
+    uploadQueue: status.inFlight.map((entry) => ({
+      ...entry,
+      state: pausedUploads.has(path.join(UPLOAD_FOLDER, entry.file)) ? "paused" : entry.state,
+      progress: uploadProgress.get(entry.file),
+    })),
+    rates: scanLogRates(),
+  };
+}
+
+// Serve the dashboard on localhost (dashboard.port in the config, or --dashboard-port)
+async function startDashboard(flags) {
+  const options = CONFIG.dashboard || {};
+  const port = flags["dashboard-port"] !== undefined ? Number(flags["dashboard-port"]) : options.port;
+  if (port !== undefined && !(Number.isInteger(port) && port >= 0 && port < 65536)) {
+    throw usageError(`Invalid dashboard port "${flags["dashboard-port"] ?? options.port}"`);
+  }
+
+  dashboard = new Dashboard({
+    port,
+    host: options.host,
+    refreshMs: options.refreshMs,
+    recentEvents: options.recentEvents,
+    getSnapshot: getDashboardSnapshot,
+    actions: {
+      pause: () => pauseUploads(),
+      resume: () => resumeUploads(),
+      requeue: ({ from = "all", files = [], categories = [] }) => {
+        if (!["upload-error", "error", "all"].includes(from)) {
+          throw usageError(`Invalid from "${from}", expected upload-error, error or all`);
+        }
+        return retryFailedFiles({ from, files, categories });
+      },
+    },
+    log: logEvent,
+  });
+
+  try {
+    logEvent(`🖥️ Dashboard running at ${await dashboard.start()}`);
+  } catch (error) {
+    dashboard = null;
+    logEvent(`❌ Dashboard could not start: ${error.message}`);
+  }
+}
+
+// Serve /metrics for Prometheus (metrics.port in the config, or --metrics-port)
+async function startMetrics(flags) {
+  const options = CONFIG.metrics || {};
+  const port = flags["metrics-port"] !== undefined ? Number(flags["metrics-port"]) : (options.port ?? DEFAULT_METRICS_PORT);
+  if (!(Number.isInteger(port) && port >= 0 && port < 65536)) {
+    throw usageError(`Invalid metrics port "${flags["metrics-port"] ?? options.port}"`);
+  }
+
+  try {
+    const { server, url } = await startMetricsServer(metrics, { port, host: options.host, log: logEvent });
+    metricsServer = server;
+    logEvent(`📈 Metrics available at ${url}`);
+  } catch (error) {
+    logEvent(`❌ Metrics endpoint could not start: ${error.message}`);
+  }
+}
+
+// Simulation mode: answer OCR and upload requests from a local stand-in (lib/simulator.js), so the whole
+// pipeline can be tried on a PC without network access. Unlike the dashboard, failing to start is fatal:
+// carrying on would send files to the real services.
+async function startSimulation() {
+  const { enabled, ...options } = CONFIG.simulation || {};
+  try {
+    simulator = new ApiSimulator(options, { log: logEvent });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const url = await simulator.start();
+  // The stand-in speaks the default answer-code-bulk contract and needs no auth: of the configured target only the
+  // adapter (multipart or chunked), chunk size and deadline carry over
+  const target = CONFIG.upload?.destinations?.[uploadAdapter.name] || {};
+  const simulated = {
+    ...target,
+    url: target.adapter === "chunked" ? simulator.chunkedUploadUrl : simulator.uploadUrl,
+    method: "POST",
+    auth: { type: "none" },
+    headers: {},
+    response: {},
+  };
+  uploadAdapter = createUploadAdapter({ destinations: { simulated }, target: "simulated" }, { fetch: postToUploadApi });
+  const latency = [simulator.latencyMs].flat().join("-");
+  logEvent(
+    `🧪 Simulation mode: OCR and upload answered by ${url} (failures ${simulator.failureRate}, mismatches ${simulator.mismatchRate}, ` +
+      `rejections ${simulator.rejectRate}, dropped chunks ${simulator.dropRate}, latency ${latency} ms); nothing is sent to the real services`,
+  );
+  logCsvEvent({ folder: "", file: "", status: "Info", action: "Simulation Started", message: `Stand-in APIs at ${url}, stats at ${url}/stats` });
+}
+
+// Report on everything in the logs (rotated copies included), optionally one day, since a time or one batch folder
+function generateReport({ date = null, since = null, batch = null } = {}) {
+  return buildReport({
+    events: readCsvRecords(CSV_LOG_FILE, { archives: true }),
+    pdfReports: readCsvRecords(PDF_REPORT_FILE),
+    uploads: Array.from(new UploadJournal(JOURNAL_FILE).load({ compact: false }).entries.values()),
+    station: { scanner: SCANNER_NAME, pc: PC_NAME },
+    batchOf: batchOfEvent,
+    date,
+    since,
+    batch,
+  });
+}
+
+// Write a report as CSV and HTML into `folder`, named after its day and batch; returns the file paths
+function writeReportFiles(report, folder) {
+  const { date, batch } = report.period;
+  const name = ["report", date || "all", batch && batch.replace(/[^\w.-]+/g, "_")].filter(Boolean).join("-");
+  const csvPath = path.join(folder, `${name}.csv`);
+  const htmlPath = path.join(folder, `${name}.html`);
+
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(csvPath, reportToCsv(report));
+  fs.writeFileSync(htmlPath, reportToHtml(report));
+  return [csvPath, htmlPath];
+}
+
+// Write the day's report (UTC day, like the logs) every day at reports.schedule ("HH:MM" local time)
+function scheduleDailyReport() {
+  const { schedule, folder = "reports" } = CONFIG.reports;
+  const match = /^(\d{1,2}):(\d{2})$/.exec(schedule);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw usageError(`Invalid reports.schedule "${schedule}", expected HH:MM`);
+  }
+
+  const next = new Date();
+  next.setHours(Number(match[1]), Number(match[2]), 0, 0);
+  if (next <= new Date()) next.setDate(next.getDate() + 1);
+
+  reportTimer = setTimeout(() => {
+    try {
+      const files = writeReportFiles(generateReport({ date: new Date().toISOString().slice(0, 10) }), folder);
+      logEvent(`📊 Daily report written: ${files.join(", ")}`);
+    } catch (error) {
+      logEvent(`❌ Daily report failed: ${error.message}`);
+    }
+    scheduleDailyReport();
+  }, next - new Date());
+  reportTimer.unref(); // The watchers keep the process alive, not the report
+  logEvent(`🗓️ Next daily report at ${next.toLocaleString()} into ${folder}`);
+}
+
+// Wait until no work is in progress or timeoutMs has passed; true when everything finished
+async function settleInFlight(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (inFlight.size > 0 && Date.now() < deadline) {
+    await Promise.race([Promise.allSettled(inFlight), new Promise((resolve) => setTimeout(resolve, Math.min(1000, deadline - Date.now())))]);
+  }
+  return inFlight.size === 0;
+}
+
+// Abort API requests and kill Ghostscript jobs still running
+function cancelInFlight() {
+  shutdownController.abort();
+  gsPool.cancelAll();
+}
+
+// Files the journal still has as compressing or uploading: whether the API got them is unknown, so they go back to
+// queued and are uploaded again on the next start (with the same idempotency key)
+function markInterruptedUploads(signal) {
+  const interrupted = uploadJournal.entriesInState(FILE_STATES.COMPRESSING, FILE_STATES.UPLOADING).filter((record) => fs.existsSync(record.path));
+  interrupted.forEach((record) => {
+    uploadJournal.record(record.path, FILE_STATES.QUEUED, { interrupted: signal });
+    logEvent(`🔁 ${record.file} was ${record.state} when stopped, it will be uploaded again on the next start`, { level: "warn", file: record.file, stage: "upload" });
+  });
+  return interrupted;
+}
+
+// SIGINT/SIGTERM: stop picking up files, give the work in progress shutdown.timeoutMs to finish, then cancel what's
+// left (its files stay where they are and are picked up again on the next start), remove temp files, stop the servers
+// and flush the logs. Exits with OK when everything finished, INTERRUPTED when work had to be cut short.
+// A second signal stops waiting (one right after the first is the same Ctrl+C passed on by a parent like npm).
+async function shutdown(signal) {
+  if (shuttingDown) {
+    if (Date.now() - shutdownStartedAt < 1000) return;
+    logEvent(`🛑 ${signal} received again, cancelling work in progress`);
+    cancelInFlight();
+    return;
+  }
+  shuttingDown = true;
+  shutdownStartedAt = Date.now();
+
+  const timeoutMs = CONFIG.shutdown?.timeoutMs ?? DEFAULT_SHUTDOWN_TIMEOUT_MS;
+  logEvent(`🛑 ${signal} received, shutting down: no new files are picked up, waiting up to ${timeoutMs / 1000}s for ${inFlight.size} job(s) in progress`);
+  logCsvEvent({ folder: "", file: "", status: "Info", action: "Shutdown Started", message: `${signal}, ${inFlight.size} job(s) in progress` });
+
+  clearTimeout(uploadQueue.batchTimer);
+  await Promise.all(watchers.map((watcher) => watcher.close()));
+
+  let finished = await settleInFlight(timeoutMs);
+  if (!finished) {
+    logEvent(`⚠️ Cancelling ${inFlight.size} job(s) still in progress`);
+    cancelInFlight();
+    // Cancelled jobs settle quickly; anything still stuck after that is redone on the next start anyway
+    await settleInFlight(5000);
+  }
+  const interrupted = markInterruptedUploads(signal);
+  finished = finished && interrupted.length === 0;
+
+  tempFiles.forEach((file) => fs.rmSync(file, { force: true }));
+  clearTimeout(reportTimer);
+  await Promise.allSettled([dashboard?.stop(), simulator?.stop(), metricsServer && new Promise((resolve) => metricsServer.close(resolve))]);
+  uploadJournal.close();
+
+  const code = finished ? EXIT_CODES.OK : EXIT_CODES.INTERRUPTED;
+  logEvent(`👋 Stopped${finished ? "" : ", unfinished work will be picked up on the next start"} (exit code ${code})`);
+  logCsvEvent({ folder: "", file: "", status: "Info", action: "Shutdown Complete", message: finished ? "All work finished" : `Interrupted, ${interrupted.length} upload(s) marked for retry` });
+  await Promise.all([logger.flush(), csvLog.flush()]);
+  process.stdout.write("", () => process.exit(code));
+}
+
+// Main runner: watch the pipeline folders until stopped
+const main = async (flags) => {
+  // Resolve settings (flags, env, config file), asking only for what's missing
+  const { settings, sources } = await resolveSettings(flags);
+
+  // Which stages run on this station: an explicit --role / PIPELINE_ROLE wins over config stages.
+  // Resolved before any folder is created, so a bad stage list changes nothing on disk.
+  const roleIsExplicit = ["flag", "env"].includes(sources.PIPELINE_ROLE);
+  const pipeline = resolvePipeline(
+    CONFIG.pipeline?.stages && !roleIsExplicit ? { stages: CONFIG.pipeline.stages } : { role: settings.PIPELINE_ROLE },
+    settings,
+  );
+  createFolders(settings);
+  pipeline.warnings.forEach((warning) => logEvent(`⚠️ ${warning}`));
+  logEvent(`🧩 Pipeline: ${describePipeline(pipeline)}`);
+
+  // One line per file again; the index otherwise grows with every update
+  fileIndex.compact();
+
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () =>
+      shutdown(signal).catch((error) => {
+        logEvent(`❌ Shutdown failed: ${error.message}`);
+        process.exit(EXIT_CODES.FAILURE);
+      }),
+    );
+  }
 
-  // // Setup linearized folder watcher (with OCR)
-  // setupLinearizedWatcher();
+  if (flags.dashboard || flags["dashboard-port"] !== undefined || CONFIG.dashboard?.enabled) {
+    await startDashboard(flags);
+  }
+  if (flags["metrics-port"] !== undefined || CONFIG.metrics?.enabled) {
+    await startMetrics(flags);
+  }
+  if (CONFIG.reports?.schedule) {
+    scheduleDailyReport();
+  }
+  if (flags.simulate || CONFIG.simulation?.enabled) {
+    await startSimulation();
+  }
 
-  // // Setup upload folder watcher
-  setupUploadWatcher();
+  for (const stage of pipeline.stages) {
+    await STAGE_RUNNERS[stage.name](stage);
+  }
 };
 
-main();
+// Start a watching stage; see lib/pipeline.js for how stages chain
+const STAGE_RUNNERS = {
+  // Setup Scan Folder Watcher
+  intake: (stage) => scanWatcher(stage),
+  // Setup linearized folder watcher (with OCR)
+  barcode: (stage) => setupLinearizedWatcher(stage),
+  upload: async (stage) => {
+    // Resume in-flight uploads from the journal before watching again
+    await recoverUploadJournal(stage);
+    setupUploadWatcher(stage);
+  },
+};
+
+// Count PDFs (and batch sub-folders) in a pipeline folder
+function countFolder(folder) {
+  if (!fs.existsSync(folder)) {
+    return { pdfs: 0, batches: 0, missing: true };
+  }
 
+  let pdfs = 0;
+  let batches = 0;
+  for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+    if (entry.isDirectory() && !entry.name.startsWith(".")) {
+      batches++;
+      pdfs += fs.readdirSync(path.join(folder, entry.name)).filter((f) => f.toLowerCase().endsWith(".pdf")).length;
+    } else if (entry.name.toLowerCase().endsWith(".pdf")) {
+      pdfs++;
+    }
+  }
+  return { pdfs, batches, missing: false };
+}
+
+// The upload journal as status and the dashboard see it: this process's own copy while it runs the upload stage,
+// otherwise the file on disk, re-read only when it has changed since the last look
+let journalCache = { key: null, journal: null };
+function currentUploadJournal() {
+  if (uploadJournalOwned) return uploadJournal;
+
+  const stats = fs.statSync(JOURNAL_FILE, { throwIfNoEntry: false });
+  const key = stats ? `${stats.mtimeMs}:${stats.size}` : "missing";
+  if (journalCache.key !== key) {
+    journalCache = { key, journal: new UploadJournal(JOURNAL_FILE).load({ compact: false }) };
+  }
+  return journalCache.journal;
+}
+
+// Snapshot of every pipeline folder and the upload journal
+function getPipelineStatus() {
+  const journal = currentUploadJournal();
+  const folders = {
+    SCANNED_FOLDER,
+    LINEARIZED_FOLDER,
+    UPLOAD_FOLDER,
+    SYSTEM_UPLOADED,
+    ERROR_FOLDER,
+    UPLOAD_ERROR,
+    DUPLICATES_FOLDER,
+    QUARANTINE_FOLDER,
+    COMPRESSED_FOLDER,
+    READY_TO_UPLOAD_FOLDER: READY_TO_UPLOAD_ZIPS,
+  };
+
+  const queue = Object.fromEntries(Object.values(FILE_STATES).map((state) => [state, journal.entriesInState(state).length]));
+  const failures = {};
+  journal.entriesInState(FILE_STATES.FAILED).forEach((record) => {
+    const category = record.category || FAILURE_CATEGORIES.UNKNOWN;
+    failures[category] = (failures[category] || 0) + 1;
+  });
+  const inFlight = journal
+    .entriesInState(FILE_STATES.QUEUED, FILE_STATES.COMPRESSING, FILE_STATES.UPLOADING)
+    .map(({ file, state, timestamp }) => ({ file, state, since: timestamp }));
+
+  return {
+    scanner: SCANNER_NAME,
+    pc: PC_NAME,
+    uploadTarget: { name: uploadAdapter.name, url: uploadAdapter.url },
+    folders: Object.entries(folders).map(([name, folder]) => ({ name, path: folder, ...countFolder(folder) })),
+    queue,
+    failures,
+    inFlight,
+  };
+}
+
+function formatStatus(status) {
+  const lines = [`📡 ${status.scanner} @ ${status.pc}`, `📤 Upload target: ${status.uploadTarget.name} (${status.uploadTarget.url})`, "", "📁 Folders:"];
+  status.folders.forEach((folder) =>
+    lines.push(`   ${folder.name.padEnd(24)} ${folder.missing ? "missing".padStart(6) : String(folder.pdfs).padStart(6)} PDF(s)${folder.batches ? ` in ${folder.batches} batch folder(s)` : ""}`),
+  );
+  lines.push("", "📒 Upload journal:");
+  Object.entries(status.queue).forEach(([state, count]) => lines.push(`   ${state.padEnd(24)} ${String(count).padStart(6)}`));
+  if (Object.keys(status.failures).length > 0) {
+    lines.push("", "❌ Failures by category:");
+    Object.entries(status.failures).forEach(([category, count]) => lines.push(`   ${category.padEnd(24)} ${String(count).padStart(6)}`));
+  }
+  if (status.inFlight.length > 0) {
+    lines.push("", "🔄 In flight:");
+    status.inFlight.forEach((entry) => lines.push(`   ${entry.file} (${entry.state} since ${entry.since})`));
+  }
+  return lines.join("\n");
+}
+
+// Move failed files back to the stage that produced them.
+// `categories` limits the requeue to failures of those categories (see lib/failures.js).
+function retryFailedFiles({ from = "all", files = [], categories = [], dryRun = false }) {
+  const journal = new UploadJournal(JOURNAL_FILE).load({ compact: false });
+  const stageFolders = {
+    [FAILURE_STAGES.BARCODE]: LINEARIZED_FOLDER,
+    [FAILURE_STAGES.UPLOAD]: UPLOAD_FOLDER,
+  };
+  const sources = [
+    { key: "upload-error", folder: UPLOAD_ERROR, target: UPLOAD_FOLDER },
+    { key: "error", folder: ERROR_FOLDER, target: LINEARIZED_FOLDER },
+  ].filter((source) => from === "all" || source.key === from);
+
+  const wanted = files.map((file) => (file.toLowerCase().endsWith(".pdf") ? file : `${file}.pdf`));
+  const moved = [];
+  const skipped = [];
+
+  for (const source of sources) {
+    if (!fs.existsSync(source.folder)) continue;
+
+    const candidates = fs
+      .readdirSync(source.folder)
+      .filter((f) => f.toLowerCase().endsWith(".pdf"))
+      .filter((f) => wanted.length === 0 || wanted.includes(f));
+
+    for (const fileName of candidates) {
+      const record = journal.get(fileName);
+      const category = (record?.state === FILE_STATES.FAILED && record.category) || FAILURE_CATEGORIES.UNKNOWN;
+
+      if (categories.length > 0 && !categories.includes(category)) {
+        if (wanted.length > 0) {
+          skipped.push({ file: fileName, from: source.folder, category, reason: `Category ${category} not selected` });
+        }
+        continue;
+      }
+
+      // The journal knows which stage failed; fall back to the folder's usual stage
+      const target = (record?.state === FILE_STATES.FAILED && stageFolders[record.stage]) || source.target;
+      const sourcePath = path.join(source.folder, fileName);
+      const targetPath = path.join(target, fileName);
+
+      if (fs.existsSync(targetPath)) {
+        skipped.push({ file: fileName, from: source.folder, category, reason: `Already exists in ${target}` });
+        continue;
+      }
+
+      if (!dryRun) {
+        try {
+          fs.renameSync(sourcePath, targetPath);
+        } catch (err) {
+          skipped.push({ file: fileName, from: source.folder, category, reason: err.message });
+          continue;
+        }
+        logEvent(`🔁 Requeued ${fileName} (${category}) from ${path.basename(source.folder)} to ${path.basename(target)}`);
+        logCsvEvent({
+          folder: source.folder,
+          file: fileName,
+          status: "Info",
+          action: "Requeued",
+          message: `[${category}] Moved to ${targetPath}`,
+        });
+      }
+      moved.push({ file: fileName, from: source.folder, to: target, category, reason: record?.error || null });
+    }
+  }
+
+  const missing = wanted.filter((file) => !moved.some((m) => m.file === file) && !skipped.some((s) => s.file === file));
+  missing.forEach((file) => skipped.push({ file, from: null, category: null, reason: "Not found in any error folder" }));
+
+  return { dryRun, moved, skipped };
+}
+
+function formatRetry(result) {
+  const lines = [`🔁 ${result.dryRun ? "Would requeue" : "Requeued"} ${result.moved.length} file(s)`];
+  result.moved.forEach((entry) => lines.push(`   ${entry.file} [${entry.category}]: ${path.basename(entry.from)} → ${path.basename(entry.to)}`));
+  if (result.skipped.length > 0) {
+    lines.push(`⚠️ Skipped ${result.skipped.length} file(s)`);
+    result.skipped.forEach((entry) => lines.push(`   ${entry.file}: ${entry.reason}`));
+  }
+  return lines.join("\n");
+}
+
+// Everything we know about one file: journal state, PDF report rows and log events
+function getFileHistory(file) {
+  const fileName = path.basename(file.toLowerCase().endsWith(".pdf") ? file : `${file}.pdf`);
+  const journal = new UploadJournal(JOURNAL_FILE).load({ compact: false });
+
+  const reports = readCsvRecords(PDF_REPORT_FILE).filter((row) => row.FileName === fileName);
+  const events = readCsvRecords(CSV_LOG_FILE, { archives: true })
+    .filter(
+      (row) =>
+        row.File === fileName ||
+        row.File.split(/,\s*/).some((f) => path.basename(f) === fileName) ||
+        path.basename(row.Folder) === fileName ||
+        row.Message.includes(fileName),
+    )
+    .sort((a, b) => a.Timestamp.localeCompare(b.Timestamp));
+
+  return { file: fileName, journal: journal.get(fileName) || null, reports, events };
+}
+
+function formatHistory(history) {
+  const lines = [`📄 ${history.file}`];
+  lines.push(history.journal ? `   Journal: ${history.journal.state} at ${history.journal.timestamp}` : "   Journal: not tracked");
+  history.reports.forEach((report) => lines.push(`   Report:  ${report.Timestamp} ${report.BaseFolder} ${report.PageCount} pages ${report.FileSizeMB} MB`));
+  lines.push("", `📋 ${history.events.length} event(s):`);
+  history.events.forEach((event) => lines.push(`   ${event.Timestamp} ${event.Status.padEnd(5)} ${event.Action}: ${event.Message}`));
+  return lines.join("\n");
+}
+
+// Reconciliation of one batch for the reconcile command; `accept` marks it complete despite its problems
+function getBatchReconciliation(batch, { accept = false, note = null, output = null } = {}) {
+  const journal = new UploadJournal(JOURNAL_FILE).load({ compact: false });
+  const result = buildReconciliation(batch, journal);
+  if (!result) {
+    return { batch, roster: null };
+  }
+
+  const files = output ? [writeReconciliation(batch, result, output)] : [];
+  if (accept) {
+    const problems = describeProblems(result) || "no problems";
+    batchLedger.mark(batch, "complete", `accepted: ${note || problems}`);
+    logEvent(`✍️ Batch ${batch} accepted as complete: ${note || problems}`, { batch, stage: "reconcile" });
+    logCsvEvent({ folder: path.join(SCANNED_FOLDER, batch), file: "", status: "Pass", action: "Batch Complete", message: `Accepted: ${note || problems}` });
+  }
+  return { batch, roster: path.join(ROSTER_FOLDER, `${batch}.csv`), ...result, state: batchLedger.get(batch), files };
+}
+
+function formatBatchReconciliation(result) {
+  if (!result.roster) {
+    return `⚠️ No roster for ${result.batch} in ${ROSTER_FOLDER}`;
+  }
+  return [formatReconciliation(result.batch, result, result.state), ...result.files.map((file) => `📝 Wrote ${file}`)].join("\n");
+}
+
+// Settings for commands that only inspect or move files: never prompt, never chatter on stdout
+async function prepareCommand(flags) {
+  logger.configure({ console: false }); // Keep stdout for the command's own output
+  return resolveSettings(flags, { interactive: false });
+}
+
+const COMMANDS = {
+  watch: {
+    summary: "Watch the pipeline folders and process files (default)",
+    options: {
+      dashboard: { type: "boolean", description: "Serve the status dashboard on localhost" },
+      "dashboard-port": { type: "string", valueName: "port", description: "Dashboard port (default: 8787)" },
+      "metrics-port": { type: "string", valueName: "port", description: "Serve Prometheus metrics on this port (default from config: 9464)" },
+      simulate: { type: "boolean", description: "Answer OCR and upload requests from a local stand-in (see simulation in the config)" },
+    },
+    run: async ({ values }) => {
+      await main(values);
+    },
+  },
+  status: {
+    summary: "Show file counts per pipeline folder and the upload queue",
+    run: async ({ values }) => {
+      await prepareCommand(values);
+      return { result: getPipelineStatus() };
+    },
+    format: formatStatus,
+  },
+  retry: {
+    summary: "Move failed files back into the stage they failed in",
+    usage: "retry [file...]",
+    options: {
+      from: { type: "string", valueName: "folder", description: "upload-error, error or all (default: all)" },
+      category: {
+        type: "string",
+        valueName: "list",
+        description: `Comma-separated failure categories: ${Object.values(FAILURE_CATEGORIES).join(", ")}`,
+      },
+      "dry-run": { type: "boolean", description: "Only list what would be requeued" },
+    },
+    run: async ({ values, positionals }) => {
+      const from = values.from || "all";
+      if (!["upload-error", "error", "all"].includes(from)) {
+        throw usageError(`Invalid --from "${from}", expected upload-error, error or all`);
+      }
+      const categories = values.category ? values.category.split(",").map((c) => c.trim()).filter(Boolean) : [];
+      const unknown = categories.filter((c) => !Object.values(FAILURE_CATEGORIES).includes(c));
+      if (unknown.length > 0) {
+        throw usageError(`Unknown failure category: ${unknown.join(", ")}`);
+      }
+      const { settings } = await prepareCommand(values);
+      if (!values["dry-run"]) createFolders(settings);
+      const result = retryFailedFiles({ from, files: positionals, categories, dryRun: Boolean(values["dry-run"]) });
+      const failed = result.skipped.length > 0 && result.moved.length === 0 && positionals.length > 0;
+      return { code: failed ? EXIT_CODES.FAILURE : EXIT_CODES.OK, result };
+    },
+    format: formatRetry,
+  },
+  report: {
+    summary: "Report per day, batch folder and scanner/PC from the logs",
+    options: {
+      date: { type: "string", valueName: "YYYY-MM-DD", description: "Only include this day (UTC)" },
+      since: { type: "string", valueName: "ISO time", description: "Only include events after this time" },
+      batch: { type: "string", valueName: "folder", description: "Only include this batch folder" },
+      output: { type: "string", valueName: "folder", description: "Also write the report as CSV and HTML into this folder" },
+    },
+    run: async ({ values }) => {
+      if (values.date && !/^\d{4}-\d{2}-\d{2}$/.test(values.date)) {
+        throw usageError(`Invalid --date "${values.date}", expected YYYY-MM-DD`);
+      }
+      await prepareCommand(values);
+      const report = generateReport({ date: values.date, since: values.since, batch: values.batch });
+      const files = values.output ? writeReportFiles(report, values.output) : [];
+      return { result: { ...report, files } };
+    },
+    format: (result) => [formatReport(result), ...result.files.map((file) => `📝 Wrote ${file}`)].join("\n"),
+  },
+  history: {
+    summary: "Show everything recorded about one file",
+    usage: "history <file>",
+    run: async ({ values, positionals }) => {
+      if (positionals.length !== 1) {
+        throw usageError("history needs exactly one file name");
+      }
+      await prepareCommand(values);
+      const result = getFileHistory(positionals[0]);
+      const found = result.journal || result.reports.length > 0 || result.events.length > 0;
+      return { code: found ? EXIT_CODES.OK : EXIT_CODES.FAILURE, result };
+    },
+    format: formatHistory,
+  },
+  reconcile: {
+    summary: "Compare a batch with its roster: missing, extra, duplicate and failed barcodes",
+    usage: "reconcile <batch>",
+    options: {
+      accept: { type: "boolean", description: "Mark the batch complete despite its problems" },
+      note: { type: "string", valueName: "text", description: "Why the batch was accepted (with --accept)" },
+      output: { type: "string", valueName: "folder", description: "Also write the reconciliation as CSV into this folder" },
+    },
+    run: async ({ values, positionals }) => {
+      if (positionals.length !== 1) {
+        throw usageError("reconcile needs exactly one batch folder name");
+      }
+      await prepareCommand(values);
+      const result = getBatchReconciliation(positionals[0], { accept: Boolean(values.accept), note: values.note, output: values.output });
+      const resolved = result.roster && (result.clean || result.state.status === "complete");
+      return { code: resolved ? EXIT_CODES.OK : EXIT_CODES.FAILURE, result };
+    },
+    format: formatBatchReconciliation,
+  },
+};
+
+runCli(process.argv.slice(2), COMMANDS, { programName: "upload-automation", defaultCommand: "watch" }).then((code) => {
+  if (code !== null) {
+    process.exitCode = code;
+  }
+});
@@ -0,0 +1,160 @@
+import path from "path";
+
+// How a decoded barcode is compared with the file name, see CONFIG.barcode.matching.
+// An exact match always passes; the options below add the looser rules, tried in this order:
+// fileNamePattern: regex picking the booklet number out of the file name (named group "barcode", else group 1)
+// checkDigit: the barcode ends in a check digit of this scheme, validated and then ignored for the comparison
+// stripLeadingZeros / ignoreCase / ignoreSeparators: normalize both sides before comparing
+// rename: when the file matched by a looser rule, rename it to the decoded barcode on its way to upload
+export const DEFAULT_MATCHING = {
+  fileNamePattern: null,
+  checkDigit: null,
+  stripLeadingZeros: false,
+  ignoreCase: false,
+  ignoreSeparators: false,
+  rename: false,
+};
+
+// Check digit for a numeric payload, per scheme
+export const CHECK_DIGITS = {
+  // Luhn (mod 10, doubling every second digit from the right)
+  luhn: (payload) => {
+    const sum = [...payload].reverse().reduce((total, digit, index) => {
+      const value = Number(digit) * (index % 2 === 0 ? 2 : 1);
+      return total + (value > 9 ? value - 9 : value);
+    }, 0);
+    return String((10 - (sum % 10)) % 10);
+  },
+  // GS1 (EAN, UPC, ITF-14): weights 3 and 1 from the right
+  gs1: (payload) => {
+    const sum = [...payload].reverse().reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+    return String((10 - (sum % 10)) % 10);
+  },
+  // Mod 11 with weights 2..7 from the right; 10 is written as X
+  mod11: (payload) => {
+    const sum = [...payload].reverse().reduce((total, digit, index) => total + Number(digit) * ((index % 6) + 2), 0);
+    const check = (11 - (sum % 11)) % 11;
+    return check === 10 ? "X" : String(check);
+  },
+};
+
+// Validate CONFIG.barcode.matching and compile its pattern; throws on bad settings
+export function compileMatching(options = {}) {
+  const matching = { ...DEFAULT_MATCHING, ...options };
+
+  if (matching.checkDigit && !CHECK_DIGITS[matching.checkDigit]) {
+    throw new Error(`Invalid barcode.matching.checkDigit "${matching.checkDigit}", expected one of: ${Object.keys(CHECK_DIGITS).join(", ")}`);
+  }
+
+  let pattern = null;
+  if (matching.fileNamePattern) {
+    try {
+      pattern = new RegExp(matching.fileNamePattern);
+    } catch (error) {
+      throw new Error(`Invalid barcode.matching.fileNamePattern: ${error.message}`);
+    }
+  }
+  return { ...matching, pattern };
+}
+
+// Apply the configured normalizations; `applied` names the ones that changed something
+function normalize(value, matching) {
+  const applied = [];
+  const step = (name, enabled, transform) => {
+    if (!enabled) return;
+    const next = transform(value);
+    if (next !== value) applied.push(name);
+    value = next;
+  };
+
+  step("separators", matching.ignoreSeparators, (text) => text.replace(/[\s\-_./]/g, ""));
+  step("case", matching.ignoreCase, (text) => text.toUpperCase());
+  step("leading-zeros", matching.stripLeadingZeros, (text) => text.replace(/^0+(?=.)/, ""));
+  return { value, applied };
+}
+
+// Decide whether a decoded barcode belongs to a file.
+// Returns { matched, rule, expected, barcode, reason }: `rule` names what decided it ("exact",
+// "file-name-pattern+normalized(leading-zeros)", "check-digit:luhn" for a rejected check digit, ...) and is null when
+// simply nothing matched; `expected` is the number taken from the file name.
+export function matchBarcode(fileName, barcode, matching = compileMatching()) {
+  const stem = path.parse(fileName).name;
+  if (!barcode) {
+    return { matched: false, rule: null, expected: stem, barcode: barcode || null, reason: "No barcode found" };
+  }
+  if (stem === barcode) {
+    return { matched: true, rule: "exact", expected: stem, barcode };
+  }
+
+  const rules = [];
+  let expected = stem;
+  if (matching.pattern) {
+    const match = stem.match(matching.pattern);
+    if (!match) {
+      return { matched: false, rule: "file-name-pattern", expected: stem, barcode, reason: `File name doesn't match ${matching.fileNamePattern}` };
+    }
+    expected = match.groups?.barcode ?? match[1] ?? match[0];
+    rules.push("file-name-pattern");
+  }
+
+  const candidates = [{ value: barcode, rules: [] }];
+  if (matching.checkDigit) {
+    const rule = `check-digit:${matching.checkDigit}`;
+    const payload = barcode.slice(0, -1);
+    if (!/^\d+$/.test(payload) || CHECK_DIGITS[matching.checkDigit](payload) !== barcode.slice(-1).toUpperCase()) {
+      return { matched: false, rule, expected, barcode, reason: `Check digit of ${barcode} is not valid (${matching.checkDigit}), probably a misread` };
+    }
+    candidates.push({ value: payload, rules: [rule] });
+  }
+
+  const target = normalize(expected, matching);
+  for (const candidate of candidates) {
+    if (candidate.value === expected) {
+      return { matched: true, rule: [...rules, ...candidate.rules].join("+"), expected, barcode };
+    }
+    const actual = normalize(candidate.value, matching);
+    if (actual.value === target.value) {
+      const applied = [...new Set([...target.applied, ...actual.applied])];
+      return { matched: true, rule: [...rules, ...candidate.rules, `normalized(${applied.join(",")})`].join("+"), expected, barcode };
+    }
+  }
+
+  return { matched: false, rule: null, expected, barcode, reason: `Expected: ${expected}, Got: ${barcode}` };
+}
+
+// A decoded barcode as compared between booklets: check digit dropped when it validates, then normalized
+function barcodeKey(barcode, matching) {
+  let value = barcode;
+  if (matching.checkDigit) {
+    const payload = barcode.slice(0, -1);
+    if (/^\d+$/.test(payload) && CHECK_DIGITS[matching.checkDigit](payload) === barcode.slice(-1).toUpperCase()) value = payload;
+  }
+  return normalize(value, matching).value;
+}
+
+// The booklet number in a file name (see fileNamePattern), normalized
+function fileNameKey(fileName, matching) {
+  const stem = path.parse(fileName).name;
+  const match = matching.pattern ? stem.match(matching.pattern) : null;
+  return normalize(match ? (match.groups?.barcode ?? match[1] ?? match[0]) : stem, matching).value;
+}
+
+// What a booklet is compared by under the matching rules: its decoded barcode (see barcodeKey) or, without one, the
+// booklet number in its file name. Booklets with equal keys are the same booklet, e.g. for roster reconciliation.
+export function bookletKey({ fileName, barcode }, matching = compileMatching()) {
+  return barcode ? barcodeKey(barcode, matching) : fileNameKey(fileName, matching);
+}
+
+// Whether two booklets carry the same barcode under the matching rules. Each side is { fileName, barcode }; without a
+// decoded barcode the file name stands in for it, as stations name booklets by their barcode.
+export function sameBooklet(a, b, matching = compileMatching()) {
+  if (a.barcode && b.barcode) return barcodeKey(a.barcode, matching) === barcodeKey(b.barcode, matching);
+  if (a.barcode) return matchBarcode(b.fileName, a.barcode, matching).matched;
+  if (b.barcode) return matchBarcode(a.fileName, b.barcode, matching).matched;
+  return fileNameKey(a.fileName, matching) === fileNameKey(b.fileName, matching);
+}
+
+// File name for a booklet renamed to its decoded barcode
+export function barcodeFileName(barcode, ext = ".pdf") {
+  return `${barcode.replace(/[\\/:*?"<>|\s]+/g, "_")}${ext}`;
+}
@@ -0,0 +1,110 @@
+import fs from "fs";
+import path from "path";
+import yauzl from "yauzl";
+import { sha256File, sha256Stream } from "./checksum.js";
+
+export const MANIFEST_NAME = "manifest.json";
+
+// Manifest entry for one PDF. `fileStem` is the file name without extension, which is how scan stations name each
+// booklet; `barcode` is the one read by the barcode check (packaging runs after it, see packageWhenChecked).
+export async function manifestEntry(filePath, { pages = null, barcode = null } = {}) {
+  const file = path.basename(filePath);
+  return {
+    file,
+    fileStem: path.parse(file).name,
+    barcode,
+    pages,
+    size: fs.statSync(filePath).size,
+    sha256: await sha256File(filePath),
+  };
+}
+
+export function buildManifest({ batch, scanner, pc, files }) {
+  return {
+    batch,
+    scanner,
+    pc,
+    createdAt: new Date().toISOString(),
+    fileCount: files.length,
+    files,
+  };
+}
+
+function openZip(zipPath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true }, (error, zipFile) => (error ? reject(error) : resolve(zipFile)));
+  });
+}
+
+function openEntry(zipFile, entry) {
+  return new Promise((resolve, reject) => {
+    zipFile.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+  });
+}
+
+// Read every entry of a zip, returning { name -> { sha256, size } } plus the manifest's parsed JSON
+async function readZip(zipPath) {
+  const zipFile = await openZip(zipPath);
+  const entries = {};
+  let manifest = null;
+
+  try {
+    await new Promise((resolve, reject) => {
+      zipFile.on("error", reject);
+      zipFile.on("end", resolve);
+      zipFile.on("entry", async (entry) => {
+        try {
+          const stream = await openEntry(zipFile, entry);
+          if (entry.fileName === MANIFEST_NAME) {
+            const chunks = [];
+            for await (const chunk of stream) chunks.push(chunk);
+            manifest = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+          } else {
+            entries[entry.fileName] = await sha256Stream(stream);
+          }
+          zipFile.readEntry();
+        } catch (error) {
+          reject(error);
+        }
+      });
+      zipFile.readEntry();
+    });
+  } finally {
+    zipFile.close();
+  }
+
+  return { entries, manifest };
+}
+
+// Re-open a package and check it against its own manifest: every listed PDF is present with the same
+// size and checksum, and the archive holds nothing the manifest doesn't list.
+// Resolves to { ok, problems, manifest }; unreadable archives reject.
+export async function verifyPackage(zipPath) {
+  const { entries, manifest } = await readZip(zipPath);
+  if (!manifest) {
+    return { ok: false, problems: [`${MANIFEST_NAME} is missing`], manifest };
+  }
+
+  const problems = [];
+  const listed = new Set();
+  for (const expected of manifest.files || []) {
+    listed.add(expected.file);
+    const actual = entries[expected.file];
+    if (!actual) {
+      problems.push(`${expected.file} is missing`);
+    } else if (actual.size !== expected.size) {
+      problems.push(`${expected.file} is ${actual.size} bytes, manifest says ${expected.size}`);
+    } else if (actual.sha256 !== expected.sha256) {
+      problems.push(`${expected.file} checksum does not match the manifest`);
+    }
+  }
+
+  for (const name of Object.keys(entries)) {
+    if (!listed.has(name)) problems.push(`${name} is not listed in the manifest`);
+  }
+  if (manifest.fileCount !== (manifest.files || []).length) {
+    problems.push(`manifest fileCount is ${manifest.fileCount} but lists ${(manifest.files || []).length} file(s)`);
+  }
+
+  return { ok: problems.length === 0, problems, manifest };
+}
@@ -0,0 +1,31 @@
+// Blank page detection from Ghostscript's inkcov device, see CONFIG.blankPages.
+// threshold: a page whose total ink coverage (C+M+Y+K, each a fraction of the page area) is below this is blank.
+// policy: "report" only lists blank pages in pdf-report.csv, "remove" also strips them (never page 1).
+export const DEFAULT_BLANK_PAGES = { threshold: 0.005, policy: "report" };
+
+export const BLANK_PAGE_POLICIES = ["report", "remove"];
+
+// inkcov renders each page at low resolution and prints "C M Y K CMYK OK" per page; -o - implies -dBATCH -dNOPAUSE
+export const INKCOV_OPTIONS = ["-q", "-sDEVICE=inkcov", "-r72", "-o", "-"];
+
+// Per-page coverage from inkcov output, in page order
+export function parseInkCoverage(output) {
+  return output
+    .split(/\r?\n/)
+    .map((line) => line.trim().match(/^([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+CMYK\s+OK/))
+    .filter(Boolean)
+    .map((match, index) => {
+      const [c, m, y, k] = match.slice(1, 5).map(Number);
+      return { page: index + 1, c, m, y, k, coverage: c + m + y + k };
+    });
+}
+
+// Page numbers (1-based) below the coverage threshold
+export function findBlankPages(coverage, threshold = DEFAULT_BLANK_PAGES.threshold) {
+  return coverage.filter((page) => page.coverage < threshold).map((page) => page.page);
+}
+
+// Pages left after removing the blank ones. Page 1 always stays: it carries the barcode.
+export function pagesToKeep(pageCount, blank) {
+  return Array.from({ length: pageCount }, (_, index) => index + 1).filter((page) => page === 1 || !blank.includes(page));
+}
@@ -0,0 +1,38 @@
+import crypto from "crypto";
+import fs from "fs";
+
+// SHA-256 of a file as hex, streamed so large scans don't have to fit in memory
+export function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+// SHA-256 of bytes already in memory, as hex
+export function sha256Buffer(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// SHA-256 of a readable stream as hex, plus the number of bytes read
+export function sha256Stream(stream) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    let size = 0;
+    stream
+      .on("error", reject)
+      .on("data", (chunk) => {
+        size += chunk.length;
+        hash.update(chunk);
+      })
+      .on("end", () => resolve({ sha256: hash.digest("hex"), size }));
+  });
+}
+
+// One checksum for a set of checksums, independent of their order (idempotency key for a batch upload)
+export function combinedChecksum(checksums) {
+  return crypto.createHash("sha256").update([...checksums].sort().join("\n")).digest("hex");
+}
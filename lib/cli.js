@@ -0,0 +1,135 @@
+import { parseArgs } from "node:util";
+import { SETTINGS, SETTINGS_OPTIONS } from "./config.js";
+
+export const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1, // Command ran but reported a problem (e.g. some files could not be moved)
+  USAGE: 2, // Bad command line or configuration
+  INTERRUPTED: 3, // Stopped by a signal before work in progress finished; that work is picked up again on the next start
+};
+
+// Error for bad command-line input; exits with EXIT_CODES.USAGE
+export function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.USAGE;
+  return error;
+}
+
+// Options every command accepts, with the text shown in --help
+const COMMON_OPTIONS = {
+  ...SETTINGS_OPTIONS,
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+const COMMON_DESCRIPTIONS = {
+  config: "Config file (JSON or YAML)",
+  headless: "Never prompt; use defaults for anything not configured",
+  json: "Print machine-readable JSON instead of text",
+  help: "Show help",
+  ...Object.fromEntries(SETTINGS.map((setting) => [setting.flag, `Override ${setting.name}`])),
+};
+
+// Render one option line for help output
+function formatOption(name, option, description) {
+  const short = option.short ? `-${option.short}, ` : "    ";
+  const value = option.type === "string" ? ` <${option.valueName || "value"}>` : "";
+  return `  ${`${short}--${name}${value}`.padEnd(38)} ${description || ""}`;
+}
+
+// Help text for the whole program, or for a single command
+export function formatHelp(programName, commands, commandName = null) {
+  const lines = [];
+
+  if (commandName) {
+    const command = commands[commandName];
+    lines.push(`Usage: ${programName} ${command.usage || commandName} [options]`, "", command.summary, "");
+    const own = Object.entries(command.options || {});
+    if (own.length > 0) {
+      lines.push("Options:");
+      own.forEach(([name, option]) => lines.push(formatOption(name, option, option.description)));
+      lines.push("");
+    }
+  } else {
+    lines.push(`Usage: ${programName} <command> [options]`, "", "Commands:");
+    Object.entries(commands).forEach(([name, command]) => lines.push(`  ${name.padEnd(12)} ${command.summary}`));
+    lines.push("", `Run "${programName} <command> --help" for command-specific options.`, "");
+  }
+
+  lines.push("Common options:");
+  Object.entries(COMMON_OPTIONS).forEach(([name, option]) => lines.push(formatOption(name, option, COMMON_DESCRIPTIONS[name])));
+
+  return lines.join("\n");
+}
+
+// Strip help-only fields so parseArgs only sees what it understands
+function toParseArgsOptions(options) {
+  return Object.fromEntries(
+    Object.entries(options).map(([name, { type, short, multiple, default: defaultValue }]) => [
+      name,
+      Object.fromEntries(Object.entries({ type, short, multiple, default: defaultValue }).filter(([, value]) => value !== undefined)),
+    ]),
+  );
+}
+
+// Dispatch argv to a command.
+// Commands are `{ summary, usage, options, run({ values, positionals }), format(result) }`;
+// `run` returns `{ code, result }`, or nothing for long-running commands that keep the process alive.
+// Resolves to the exit code, or null when the command is still running.
+export async function runCli(argv, commands, { programName, defaultCommand, stdout = process.stdout, stderr = process.stderr }) {
+  const [first, ...rest] = argv;
+  const explicit = first && !first.startsWith("-");
+  const commandName = explicit ? first : defaultCommand;
+  const args = explicit ? rest : argv;
+
+  if (first === "help" || (!explicit && (first === "--help" || first === "-h"))) {
+    const topic = rest[0] && commands[rest[0]] ? rest[0] : null;
+    stdout.write(`${formatHelp(programName, commands, topic)}\n`);
+    return EXIT_CODES.OK;
+  }
+
+  const command = commands[commandName];
+  if (!command) {
+    stderr.write(`Unknown command "${commandName}"\n\n${formatHelp(programName, commands)}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: toParseArgsOptions({ ...COMMON_OPTIONS, ...(command.options || {}) }),
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${formatHelp(programName, commands, commandName)}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (parsed.values.help) {
+    stdout.write(`${formatHelp(programName, commands, commandName)}\n`);
+    return EXIT_CODES.OK;
+  }
+
+  let outcome;
+  try {
+    outcome = await command.run(parsed);
+  } catch (error) {
+    if (parsed.values.json) {
+      stdout.write(`${JSON.stringify({ error: error.message }, null, 2)}\n`);
+    } else {
+      stderr.write(`❌ ${error.message}\n`);
+    }
+    return error.exitCode ?? EXIT_CODES.FAILURE;
+  }
+
+  if (!outcome) return null;
+
+  const { code = EXIT_CODES.OK, result } = outcome;
+  if (result !== undefined) {
+    const output = parsed.values.json || !command.format ? JSON.stringify(result, null, 2) : command.format(result);
+    stdout.write(`${output}\n`);
+  }
+  return code;
+}
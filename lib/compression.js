@@ -0,0 +1,103 @@
+// Named Ghostscript compression profiles.
+// preset: -dPDFSETTINGS value; dpi: downsample colour/gray images to this resolution;
+// grayscale: convert pages to gray; jpegQuality: 1-100 to force JPEG re-encoding at that quality.
+export const COMPRESSION_PROFILES = {
+  // What compressPDF always did before profiles existed
+  screen: { preset: "/screen", dpi: 150, grayscale: false, jpegQuality: null },
+  ebook: { preset: "/ebook", dpi: 150, grayscale: false, jpegQuality: null },
+  printer: { preset: "/printer", dpi: 300, grayscale: false, jpegQuality: null },
+  grayscale: { preset: "/ebook", dpi: 150, grayscale: true, jpegQuality: 75 },
+  draft: { preset: "/screen", dpi: 100, grayscale: true, jpegQuality: 50 },
+};
+
+export const DEFAULT_PROFILE = "screen";
+
+// Built-in profiles plus any defined (or overridden) under compression.profiles in the config
+export function resolveProfiles(compressionConfig = {}) {
+  const profiles = { ...COMPRESSION_PROFILES };
+  for (const [name, profile] of Object.entries(compressionConfig.profiles || {})) {
+    profiles[name] = { ...(COMPRESSION_PROFILES[name] || COMPRESSION_PROFILES[DEFAULT_PROFILE]), ...profile };
+  }
+  return profiles;
+}
+
+// Check that every profile the config refers to (profile, batchProfiles, adaptive.profiles) exists; throws on the first unknown one
+export function validateProfiles(compressionConfig = {}) {
+  const profiles = resolveProfiles(compressionConfig);
+  const referenced = [
+    ["compression.profile", [compressionConfig.profile ?? DEFAULT_PROFILE]],
+    ...Object.entries(compressionConfig.batchProfiles || {}).map(([pattern, name]) => [`compression.batchProfiles["${pattern}"]`, [name]]),
+    ["compression.adaptive.profiles", compressionConfig.adaptive?.profiles || []],
+  ];
+
+  for (const [setting, names] of referenced) {
+    const unknown = names.find((name) => !profiles[name]);
+    if (unknown !== undefined) {
+      throw new Error(`Unknown compression profile "${unknown}" in ${setting}, expected one of: ${Object.keys(profiles).join(", ")}`);
+    }
+  }
+}
+
+// Match a batch folder name against a pattern with * wildcards ("SLR-WA-*")
+function matchesBatch(pattern, batch) {
+  const regex = new RegExp(`^${pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`, "i");
+  return regex.test(batch);
+}
+
+// Profile name for a file from the given batch folder: first matching compression.batchProfiles
+// entry, else compression.profile, else the default
+export function profileForBatch(batch, compressionConfig = {}) {
+  if (batch) {
+    for (const [pattern, profile] of Object.entries(compressionConfig.batchProfiles || {})) {
+      if (matchesBatch(pattern, batch)) return profile;
+    }
+  }
+  return compressionConfig.profile || DEFAULT_PROFILE;
+}
+
+// libjpeg-style quality (1-100) to Ghostscript's DCT QFactor (lower is better quality)
+function qualityToQFactor(quality) {
+  const q = Math.min(100, Math.max(1, quality));
+  const scale = q < 50 ? 5000 / q : 200 - 2 * q;
+  return Math.max(0.05, scale / 100).toFixed(2);
+}
+
+// Ghostscript command-line options for a profile (everything except input/output)
+export function ghostscriptOptions(profile) {
+  const options = [
+    "-sDEVICE=pdfwrite",
+    "-dCompatibilityLevel=1.4",
+    `-dPDFSETTINGS=${profile.preset}`,
+    "-dDownsampleColorImages=true",
+    `-dColorImageResolution=${profile.dpi}`,
+    "-dDownsampleGrayImages=true",
+    `-dGrayImageResolution=${profile.dpi}`,
+  ];
+
+  if (profile.grayscale) {
+    options.push("-sColorConversionStrategy=Gray", "-dProcessColorModel=/DeviceGray");
+  }
+
+  if (profile.jpegQuality) {
+    const qFactor = qualityToQFactor(profile.jpegQuality);
+    options.push(
+      "-dAutoFilterColorImages=false",
+      "-dColorImageFilter=/DCTEncode",
+      "-dAutoFilterGrayImages=false",
+      "-dGrayImageFilter=/DCTEncode",
+      "-c",
+      `<< /ColorImageDict << /QFactor ${qFactor} /Blend 1 /HSamples [2 1 1 2] /VSamples [2 1 1 2] >> /GrayImageDict << /QFactor ${qFactor} /Blend 1 /HSamples [2 1 1 2] /VSamples [2 1 1 2] >> >> setdistillerparams`,
+      "-f",
+    );
+  }
+
+  return options;
+}
+
+// Profiles to try for a file, in order: the one chosen for its batch, then (with compression.adaptive)
+// the adaptive list as fallbacks for when the result is still over the size target
+export function profilesToTry(batch, compressionConfig = {}) {
+  const first = profileForBatch(batch, compressionConfig);
+  const fallbacks = compressionConfig.adaptive?.profiles || [];
+  return [first, ...fallbacks.filter((name) => name !== first)];
+}
@@ -0,0 +1,120 @@
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "node:util";
+import YAML from "yaml";
+
+// Config files picked up from the working directory when --config isn't given
+export const DEFAULT_CONFIG_FILES = ["upload-automation.config.json", "upload-automation.config.yaml", "upload-automation.config.yml"];
+
+// Every value the station needs at startup, and where each one can come from.
+// `name` doubles as the environment variable, `file` is the dotted path in the config file.
+// Settings marked `prompt` are asked interactively when nothing else provides them.
+export const SETTINGS = [
+  { name: "SCANNER_NAME", flag: "scanner", file: "scannerName", prompt: true },
+  { name: "PC_NAME", flag: "pc", file: "pcName", prompt: true },
+  { name: "SCANNED_FOLDER", flag: "scanned-folder", file: "folders.scanned", folder: true, prompt: true },
+  { name: "COMPRESSED_FOLDER", flag: "compressed-folder", file: "folders.compressed", folder: true, prompt: true },
+  { name: "READY_TO_UPLOAD_FOLDER", flag: "ready-folder", file: "folders.ready", folder: true, prompt: true },
+  { name: "LINEARIZED_FOLDER", flag: "linearized-folder", file: "folders.linearized", folder: true, prompt: true },
+  { name: "UPLOAD_FOLDER", flag: "upload-folder", file: "folders.upload", folder: true },
+  { name: "ERROR_FOLDER", flag: "error-folder", file: "folders.error", folder: true },
+  { name: "SYSTEM_UPLOADED", flag: "system-uploaded-folder", file: "folders.systemUploaded", folder: true },
+  { name: "UPLOAD_ERROR", flag: "upload-error-folder", file: "folders.uploadError", folder: true },
+  { name: "DUPLICATES_FOLDER", flag: "duplicates-folder", file: "folders.duplicates", folder: true },
+  { name: "QUARANTINE_FOLDER", flag: "quarantine-folder", file: "folders.quarantine", folder: true },
+  { name: "ROSTER_FOLDER", flag: "roster-folder", file: "folders.roster", folder: true },
+  { name: "PIPELINE_ROLE", flag: "role", file: "pipeline.role" },
+  { name: "BARCODE_MODE", flag: "barcode-mode", file: "barcode.mode" },
+  { name: "LOG_LEVEL", flag: "log-level", file: "logging.level" },
+  { name: "UPLOAD_TARGET", flag: "upload-target", file: "upload.target" },
+];
+
+// parseArgs option definitions shared by every entry point
+export const SETTINGS_OPTIONS = {
+  config: { type: "string", short: "c" },
+  headless: { type: "boolean" },
+  ...Object.fromEntries(SETTINGS.map((setting) => [setting.flag, { type: "string" }])),
+};
+
+// Configuration problems are usage errors (exit code 2), not runtime failures
+function configError(message) {
+  const error = new Error(message);
+  error.exitCode = 2;
+  return error;
+}
+
+// Read a dotted path ("folders.upload") out of a nested object
+export function getPath(object, dottedPath) {
+  return dottedPath.split(".").reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+// Load a JSON or YAML config file
+export function loadConfigFile(configPath) {
+  let content;
+  try {
+    content = fs.readFileSync(configPath, "utf8");
+  } catch (error) {
+    throw configError(`Cannot read config file ${configPath}: ${error.message}`);
+  }
+
+  try {
+    const ext = path.extname(configPath).toLowerCase();
+    const parsed = ext === ".yaml" || ext === ".yml" ? YAML.parse(content) : JSON.parse(content);
+    return parsed || {};
+  } catch (error) {
+    throw configError(`Invalid config file ${configPath}: ${error.message}`);
+  }
+}
+
+// Find the config file to use: explicit flag, then env, then the working directory
+function findConfigFile(flagValue, env, cwd) {
+  const explicit = flagValue || env.UPLOAD_AUTOMATION_CONFIG;
+  if (explicit) return path.resolve(cwd, explicit);
+
+  return DEFAULT_CONFIG_FILES.map((file) => path.join(cwd, file)).find((file) => fs.existsSync(file)) || null;
+}
+
+function isTruthy(value) {
+  return value === true || ["1", "true", "yes", "on"].includes(String(value).toLowerCase());
+}
+
+// Resolve settings with precedence: CLI flags > environment > config file.
+// Anything still unset is reported in `missing` so the caller can prompt or fall back to defaults.
+export function loadSettings({ argv = [], flags = null, env = process.env, cwd = process.cwd() } = {}) {
+  const values = flags || parseArgs({ args: argv, options: SETTINGS_OPTIONS, strict: true }).values;
+
+  const configPath = findConfigFile(values.config, env, cwd);
+  const config = configPath ? loadConfigFile(configPath) : {};
+  const configDir = configPath ? path.dirname(configPath) : cwd;
+
+  const settings = {};
+  const sources = {};
+  const missing = [];
+
+  for (const setting of SETTINGS) {
+    let value;
+    let source;
+    let baseDir = cwd;
+
+    if (values[setting.flag]) {
+      [value, source] = [values[setting.flag], "flag"];
+    } else if (env[setting.name]) {
+      [value, source] = [env[setting.name], "env"];
+    } else if (getPath(config, setting.file)) {
+      [value, source, baseDir] = [String(getPath(config, setting.file)), "config", configDir];
+    }
+
+    if (value === undefined || String(value).trim() === "") {
+      missing.push(setting.name);
+      continue;
+    }
+
+    // Relative folders in a config file are relative to the file, not to where we were started
+    settings[setting.name] = setting.folder ? path.resolve(baseDir, value) : String(value).trim();
+    sources[setting.name] = source;
+  }
+
+  const headless = isTruthy(values.headless) || isTruthy(env.HEADLESS) || isTruthy(config.headless);
+
+  return { settings, sources, missing, config, configPath, headless };
+}
@@ -0,0 +1,117 @@
+import net from "node:net";
+
+// Check that the host behind `url` is reachable (DNS lookup + TCP connect).
+// Probing the API we actually talk to avoids "online" verdicts when only the API is blocked.
+export function probeHost(url, timeoutMs = 5000) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    return Promise.resolve(false);
+  }
+
+  const port = Number(target.port) || (target.protocol === "http:" ? 80 : 443);
+
+  return new Promise((resolve) => {
+    const socket = net.connect({ host: target.hostname, port, timeout: timeoutMs });
+    const finish = (online) => {
+      socket.destroy();
+      resolve(online);
+    };
+    socket.once("connect", () => finish(true));
+    socket.once("timeout", () => finish(false));
+    socket.once("error", () => finish(false));
+  });
+}
+
+export const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+
+// fetch() with a deadline: Node's fetch has no timeout option, so the request is aborted after `timeoutMs`, or when
+// `signal` aborts (e.g. on shutdown). The deadline covers sending the body and reading the answer.
+// A missed deadline rejects with an ETIMEDOUT error, so it's classified as a network failure and retried.
+export async function fetchWithDeadline(url, init = {}, { timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS, signal = null, fetch = globalThis.fetch } = {}) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: signal ? AbortSignal.any([timeout, signal]) : timeout });
+  } catch (error) {
+    if (!timeout.aborted || signal?.aborted) throw error;
+    const timedOut = new Error(`No answer from ${new URL(url).host} within ${timeoutMs / 1000}s`);
+    timedOut.code = "ETIMEDOUT";
+    throw timedOut;
+  }
+}
+
+// Holds work that was skipped while offline and replays it once the probe succeeds again.
+// Chokidar only fires `add` once per file, so anything we skip has to be remembered here.
+export class OfflineBuffer {
+  constructor({ name, probe, intervalMs = 15000, log = () => {} }) {
+    this.name = name;
+    this.probe = probe;
+    this.intervalMs = intervalMs;
+    this.log = log;
+    this.pending = new Map(); // key (file path) -> function that retries the work
+    this.timer = null;
+    this.draining = false;
+  }
+
+  // Remember work to redo when connectivity returns; the same key is only held once
+  hold(key, retry) {
+    this.pending.set(key, retry);
+    this.schedule();
+  }
+
+  // Forget held work, e.g. because the file was moved away
+  release(key) {
+    this.pending.delete(key);
+  }
+
+  get size() {
+    return this.pending.size;
+  }
+
+  schedule() {
+    if (this.timer || this.pending.size === 0) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.check();
+    }, this.intervalMs);
+  }
+
+  // Probe once; drain everything if we're back online, otherwise wait for the next tick
+  async check() {
+    if (this.draining || this.pending.size === 0) return;
+
+    const online = await this.probe();
+    if (!online) {
+      this.log(`📴 ${this.name}: still offline, ${this.pending.size} file(s) waiting`);
+      this.schedule();
+      return;
+    }
+
+    this.draining = true;
+    const work = Array.from(this.pending.entries());
+    this.pending.clear();
+    this.log(`📶 ${this.name}: connection restored, draining ${work.length} pending file(s)`);
+
+    try {
+      for (const [key, retry] of work) {
+        try {
+          await retry();
+        } catch (error) {
+          this.log(`❌ ${this.name}: error draining ${key}: ${error.message}`);
+        }
+      }
+    } finally {
+      this.draining = false;
+      // Anything held again while draining (link dropped mid-drain) gets its own tick
+      this.schedule();
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
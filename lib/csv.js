@@ -0,0 +1,74 @@
+import fs from "fs";
+import { archivedFiles, readLogFile } from "./rotating-file.js";
+
+// Parse CSV text into rows of fields (RFC 4180 quoting, tolerant of CRLF and a missing final newline)
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// One CSV row per RFC 4180: fields containing commas, quotes or line breaks are quoted with quotes doubled,
+// missing values are empty, and the row ends with CRLF
+export function formatCsvRow(values) {
+  const fields = values.map((value) => {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  });
+  return `${fields.join(",")}\r\n`;
+}
+
+// Read a CSV file with a header row into an array of objects keyed by column name.
+// With `archives`, rotated copies of the file (see lib/rotating-file.js) are read first, oldest first.
+export function readCsvRecords(filePath, { archives = false } = {}) {
+  const files = [...(archives ? archivedFiles(filePath) : []), filePath].filter((file) => fs.existsSync(file));
+  return files.flatMap((file) => {
+    const [header, ...rows] = parseCsv(readLogFile(file));
+    if (!header) return [];
+
+    return rows
+      .filter((row) => row.some((value) => value !== ""))
+      .map((row) => Object.fromEntries(header.map((column, index) => [column, row[index] ?? ""])));
+  });
+}
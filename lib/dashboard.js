@@ -0,0 +1,230 @@
+import http from "node:http";
+
+export const DEFAULT_DASHBOARD_PORT = 8787;
+
+const LOOPBACK_HOSTS = ["127.0.0.1", "localhost", "::1"];
+
+// Local status page for the watch command.
+// `getSnapshot()` returns what the page shows (folders, queue, rates); it's pushed to open pages every
+// `refreshMs` over server-sent events, and log lines are pushed as they happen via publish().
+// `actions` ({ pause, resume, requeue }) back the buttons; each returns a JSON-able result.
+export class Dashboard {
+  constructor({ port = DEFAULT_DASHBOARD_PORT, host = "127.0.0.1", refreshMs = 2000, recentEvents = 100, getSnapshot, actions, log = () => {} }) {
+    this.port = port;
+    this.host = host;
+    this.refreshMs = refreshMs;
+    this.maxEvents = recentEvents;
+    this.getSnapshot = getSnapshot;
+    this.actions = actions;
+    this.log = log;
+    this.events = []; // last `recentEvents` log lines
+    this.clients = new Set(); // open SSE responses
+    this.server = null;
+    this.timer = null;
+  }
+
+  start() {
+    if (!LOOPBACK_HOSTS.includes(this.host)) {
+      this.log(`⚠️ Dashboard is listening on ${this.host}: anyone who can reach this PC can pause uploads and requeue files`);
+    }
+
+    this.server = http.createServer((req, res) => {
+      // Bad input (including usage errors from the actions) is the caller's fault, anything else is ours
+      this.handle(req, res).catch((error) => sendJson(res, error.statusCode ?? (error.exitCode === 2 ? 400 : 500), { error: error.message }));
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off("error", reject);
+        this.timer = setInterval(() => this.broadcastSnapshot(), this.refreshMs);
+        this.timer.unref();
+        resolve(`http://${this.host.includes(":") ? `[${this.host}]` : this.host}:${this.server.address().port}/`);
+      });
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.clients.forEach((res) => res.end());
+    this.clients.clear();
+    return new Promise((resolve) => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  // Record a log line and push it to open pages
+  publish(event) {
+    this.events.push(event);
+    if (this.events.length > this.maxEvents) this.events.shift();
+    this.send("log", event);
+  }
+
+  snapshot() {
+    return this.getSnapshot();
+  }
+
+  broadcastSnapshot() {
+    if (this.clients.size === 0) return;
+    try {
+      this.send("snapshot", this.snapshot());
+    } catch (error) {
+      this.log(`⚠️ Dashboard snapshot failed: ${error.message}`);
+    }
+  }
+
+  send(type, data) {
+    const frame = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    this.clients.forEach((res) => res.write(frame));
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (req.method === "GET" && pathname === "/") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(PAGE);
+      return;
+    }
+
+    if (req.method === "GET" && pathname === "/events") {
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+      this.clients.add(res);
+      req.on("close", () => this.clients.delete(res));
+      res.write(`event: history\ndata: ${JSON.stringify(this.events)}\n\n`);
+      res.write(`event: snapshot\ndata: ${JSON.stringify(this.snapshot())}\n\n`);
+      return;
+    }
+
+    if (req.method === "GET" && pathname === "/api/status") {
+      sendJson(res, 200, { ...this.snapshot(), events: this.events });
+      return;
+    }
+
+    const action = { "/api/pause": "pause", "/api/resume": "resume", "/api/requeue": "requeue" }[pathname];
+    if (req.method === "POST" && action) {
+      // Requiring a JSON body means a page on another site can't trigger this without a CORS preflight,
+      // which we never answer
+      if (!(req.headers["content-type"] || "").startsWith("application/json")) {
+        sendJson(res, 415, { error: "Expected application/json" });
+        return;
+      }
+      const body = await readJson(req);
+      const result = await this.actions[action](body);
+      sendJson(res, 200, { ok: true, result });
+      this.broadcastSnapshot();
+      return;
+    }
+
+    sendJson(res, 404, { error: "Not found" });
+  }
+}
+
+function sendJson(res, status, data) {
+  if (res.headersSent) return res.end();
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
+
+function badRequest(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+async function readJson(req) {
+  let body = "";
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > 64 * 1024) throw badRequest("Request body too large", 413);
+  }
+  try {
+    return body ? JSON.parse(body) : {};
+  } catch {
+    throw badRequest("Request body is not valid JSON");
+  }
+}
+
+const PAGE = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Upload automation</title>
+<style>
+  body { font: 14px system-ui, sans-serif; margin: 1.5em; color: #222; }
+  h1 { font-size: 1.3em; margin: 0 0 .2em; }
+  h2 { font-size: 1.05em; margin: 1.4em 0 .4em; }
+  table { border-collapse: collapse; }
+  td, th { padding: .25em .8em .25em 0; text-align: left; vertical-align: top; }
+  th { font-weight: 600; border-bottom: 1px solid #ccc; }
+  .num { text-align: right; }
+  .grid { display: flex; flex-wrap: wrap; gap: 2.5em; }
+  #events { font: 12px ui-monospace, monospace; max-height: 24em; overflow-y: auto; background: #f6f6f6; padding: .5em; white-space: pre-wrap; }
+  #state.paused { color: #b00; font-weight: 600; }
+  button { margin-right: .5em; }
+  .muted { color: #888; }
+</style>
+</head>
+<body>
+<h1>Upload automation <span id="station" class="muted"></span></h1>
+<div>Uploads: <span id="state">…</span>
+  <button id="pause">Pause uploads</button><button id="resume">Resume uploads</button>
+  <button id="requeue">Requeue failed files</button> <span id="result" class="muted"></span></div>
+<div class="grid">
+  <div><h2>Folders</h2><table id="folders"></table></div>
+  <div><h2>Upload queue</h2><table id="queue"></table></div>
+  <div><h2>Failures</h2><table id="failures"></table></div>
+</div>
+<div class="grid">
+  <div><h2>Pass/fail by batch folder</h2><table id="batches"></table></div>
+  <div><h2>Pass/fail by scanner</h2><table id="scanners"></table></div>
+</div>
+<h2>Recent events</h2>
+<div id="events"></div>
+<script>
+const $ = (id) => document.getElementById(id);
+const esc = (text) => String(text ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+const table = (id, head, rows) => {
+  $(id).innerHTML = "<tr>" + head.map((h) => "<th>" + esc(h) + "</th>").join("") + "</tr>" +
+    (rows.length ? rows.map((r) => "<tr>" + r.map((c) => "<td" + (typeof c === "number" ? " class=num" : "") + ">" + esc(c) + "</td>").join("") + "</tr>").join("")
+      : "<tr><td class=muted colspan=" + head.length + ">none</td></tr>");
+};
+const rateRows = (rates) => Object.entries(rates).map(([name, r]) => [name, r.pass, r.fail, r.total ? Math.round((r.pass / r.total) * 100) + "%" : "–"]);
+const addEvent = (e) => {
+  const box = $("events");
+  const atBottom = box.scrollTop + box.clientHeight >= box.scrollHeight - 5;
+  box.textContent += e.timestamp + "  " + e.message + "\\n";
+  if (atBottom) box.scrollTop = box.scrollHeight;
+};
+function render(s) {
+  $("station").textContent = [s.scanner, s.pc].filter(Boolean).join(" @ ");
+  $("state").textContent = s.uploadsPaused ? "paused" : "running";
+  $("state").className = s.uploadsPaused ? "paused" : "";
+  table("folders", ["Folder", "PDFs", "Batches"], s.folders.map((f) => [f.name, f.missing ? "missing" : f.pdfs, f.missing ? "" : f.batches]));
+  table("queue", ["File", "State", "Since", "Sent"], s.uploadQueue.map((q) => [q.file, q.state, q.since || "", q.progress ? Math.floor((q.progress.sent / q.progress.total) * 100) + "%" : ""]));
+  table("failures", ["Category", "Files"], Object.entries(s.failures).map(([k, v]) => [k, v]));
+  table("batches", ["Batch", "Pass", "Fail", "Rate"], rateRows(s.rates.byBatch));
+  table("scanners", ["Scanner", "Pass", "Fail", "Rate"], rateRows(s.rates.byScanner));
+}
+async function post(path, body = {}) {
+  const res = await fetch(path, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+  const json = await res.json();
+  $("result").textContent = res.ok ? "" : json.error;
+  return json;
+}
+$("pause").onclick = () => post("/api/pause");
+$("resume").onclick = () => post("/api/resume");
+$("requeue").onclick = async () => {
+  if (!confirm("Move all failed files back into the stage they failed in?")) return;
+  const { result } = await post("/api/requeue", { from: "all" });
+  if (result) $("result").textContent = "Requeued " + result.moved.length + " file(s)";
+};
+const source = new EventSource("/events");
+source.addEventListener("history", (e) => {
+  $("events").textContent = "";
+  JSON.parse(e.data).forEach(addEvent);
+});
+source.addEventListener("snapshot", (e) => render(JSON.parse(e.data)));
+source.addEventListener("log", (e) => addEvent(JSON.parse(e.data)));
+</script>
+</body>
+</html>
+`;
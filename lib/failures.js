@@ -0,0 +1,80 @@
+// Why a file left the pipeline. Stored with the file's journal entry so it can be requeued later.
+export const FAILURE_CATEGORIES = {
+  NETWORK: "network", // DNS, refused/reset connections, timeouts
+  HTTP_5XX: "http-5xx", // Server-side error from the OCR or upload API
+  HTTP_4XX: "http-4xx", // Request rejected at the HTTP level
+  API_REJECTED: "api-rejected", // Upload API listed the file in failedFiles
+  BARCODE_MISMATCH: "barcode-mismatch", // OCR barcode doesn't match the file name
+  UNKNOWN: "unknown",
+};
+
+// Categories worth retrying automatically: the same request may well succeed later
+export const TRANSIENT_CATEGORIES = [FAILURE_CATEGORIES.NETWORK, FAILURE_CATEGORIES.HTTP_5XX];
+
+// Pipeline stage a file failed in; decides which folder a requeue sends it back to
+export const FAILURE_STAGES = {
+  BARCODE: "barcode",
+  UPLOAD: "upload",
+};
+
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "EPIPE",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_BODY_TIMEOUT",
+  "UND_ERR_SOCKET",
+]);
+
+// Error for a non-2xx HTTP response, carrying the status for classification
+export function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Work out the failure category of an error thrown while processing a file
+export function classifyError(error) {
+  if (!error) return FAILURE_CATEGORIES.UNKNOWN;
+  if (error.category) return error.category;
+
+  if (typeof error.status === "number") {
+    if (error.status >= 500) return FAILURE_CATEGORIES.HTTP_5XX;
+    if (error.status >= 400) return FAILURE_CATEGORIES.HTTP_4XX;
+  }
+
+  // Node's fetch wraps socket errors as TypeError("fetch failed") with the real error in `cause`
+  const code = error.code || error.cause?.code;
+  if (NETWORK_ERROR_CODES.has(code)) return FAILURE_CATEGORIES.NETWORK;
+  if (error.name === "AbortError" || error.name === "TimeoutError") return FAILURE_CATEGORIES.NETWORK;
+  if (error instanceof TypeError && error.message === "fetch failed") return FAILURE_CATEGORIES.NETWORK;
+
+  return FAILURE_CATEGORIES.UNKNOWN;
+}
+
+// Automatic retry policy for transient failures: exponential backoff, capped
+export class RetryPolicy {
+  constructor({ maxAttempts = 5, baseDelayMs = 30000, maxDelayMs = 10 * 60 * 1000, categories = TRANSIENT_CATEGORIES } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.categories = categories;
+  }
+
+  // Whether a file that just failed its `attempt`-th try (1-based) should be tried again
+  shouldRetry(category, attempt) {
+    return this.categories.includes(category) && attempt < this.maxAttempts;
+  }
+
+  // Delay before the next try after the `attempt`-th failure
+  delayFor(attempt) {
+    return Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+  }
+}
@@ -0,0 +1,111 @@
+import fs from "fs";
+
+// Facts about each PDF gathered as it moves through the stages (batch folder, checksum, barcode,
+// upload time, ...), keyed by file name. Stored as append-only JSON lines; later lines add to or override earlier ones,
+// so a crash can at worst lose the last update. The watch command compacts it on start.
+// A file renamed on the way (to its decoded barcode) keeps its old entry with `renamedTo`; lookups by content
+// or batch only see the entry under its current name.
+export class FileIndex {
+  constructor(indexPath) {
+    this.indexPath = indexPath;
+    this.entries = new Map(); // fileName -> merged fields
+    this.offset = 0; // Bytes of the file read so far, see refresh()
+    this.inode = null;
+    this.lines = 0; // Lines read so far; more than there are entries means compact() has something to merge
+  }
+
+  load() {
+    this.entries.clear();
+    this.offset = 0;
+    this.inode = null;
+    this.lines = 0;
+    return this.refresh();
+  }
+
+  // Rewrite the index with one merged line per file (atomic via rename), so it grows with the number of files
+  // rather than the number of updates. Only for the process that owns the index, before its stages start writing.
+  compact() {
+    this.load();
+    if (this.lines <= this.entries.size) return this;
+
+    const tempPath = `${this.indexPath}.tmp`;
+    const content = [...this.entries].map(([file, fields]) => JSON.stringify({ file, ...fields })).join("\n");
+    fs.writeFileSync(tempPath, content ? `${content}\n` : "");
+    fs.renameSync(tempPath, this.indexPath);
+    return this.load();
+  }
+
+  // Read only the lines appended since the last read, e.g. by an intake process sharing this station's index.
+  // Starts over if the file was replaced or truncated.
+  refresh() {
+    if (!fs.existsSync(this.indexPath)) return this;
+
+    const { ino, size } = fs.statSync(this.indexPath);
+    if (ino !== this.inode || size < this.offset) {
+      this.entries.clear();
+      this.offset = 0;
+      this.lines = 0;
+      this.inode = ino;
+    }
+    if (size === this.offset) return this;
+
+    const buffer = Buffer.alloc(size - this.offset);
+    const fd = fs.openSync(this.indexPath, "r");
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // A last line without its newline may still be being written; it's read next time
+    const end = buffer.lastIndexOf(0x0a) + 1;
+    for (const line of buffer.toString("utf8", 0, end).split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      this.lines++;
+      try {
+        const { file, ...fields } = JSON.parse(line);
+        if (file) {
+          this.entries.set(file, { ...this.entries.get(file), ...fields });
+        }
+      } catch {
+        // Torn line from a crash mid-write
+      }
+    }
+    this.offset += end;
+    return this;
+  }
+
+  // Merge new fields into a file's entry and persist them
+  update(fileName, fields) {
+    const entry = { ...this.entries.get(fileName), ...fields, updatedAt: new Date().toISOString() };
+    fs.appendFileSync(this.indexPath, `${JSON.stringify({ file: fileName, ...fields, updatedAt: entry.updatedAt })}\n`);
+    this.entries.set(fileName, entry);
+    return entry;
+  }
+
+  get(fileName) {
+    return this.entries.get(fileName);
+  }
+
+  // Entries of every file that came in with this batch folder
+  inBatch(batch) {
+    return [...this.entries].filter(([, entry]) => entry.batch === batch && !entry.renamedTo).map(([file, entry]) => ({ file, ...entry }));
+  }
+
+  // Entry whose content has this SHA-256, if any
+  findByHash(sha256) {
+    for (const [file, entry] of this.entries) {
+      if (entry.sha256 === sha256 && !entry.renamedTo) return { file, ...entry };
+    }
+    return null;
+  }
+
+  // Entry already uploaded for the same booklet, if any. `isSameBooklet` gets { fileName, barcode } of each uploaded
+  // entry (barcode unset if it was never read) and decides, see sameBooklet() in lib/barcode-match.js.
+  findUploadedBooklet(isSameBooklet) {
+    for (const [file, entry] of this.entries) {
+      if (entry.uploadedAt && isSameBooklet({ fileName: file, barcode: entry.barcode })) return { file, ...entry };
+    }
+    return null;
+  }
+}
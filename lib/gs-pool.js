@@ -0,0 +1,99 @@
+import { execFile } from "child_process";
+import os from "os";
+
+// Leave one core for the watchers and uploads; Ghostscript is CPU-bound
+export const DEFAULT_CONCURRENCY = Math.max(1, os.cpus().length - 1);
+export const DEFAULT_JOB_TIMEOUT_MS = 120000;
+
+// Error for jobs that were cancelled before or while running
+export function cancelledError(reason = "cancelled") {
+  const error = new Error(`Ghostscript job ${reason}`);
+  error.code = "CANCELLED";
+  return error;
+}
+
+// Runs Ghostscript commands with at most `concurrency` processes at a time.
+// Jobs beyond that wait in FIFO order; each one is killed if it runs longer than its timeout.
+export class GhostscriptPool {
+  constructor({ concurrency = DEFAULT_CONCURRENCY, timeoutMs = DEFAULT_JOB_TIMEOUT_MS } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.timeoutMs = timeoutMs;
+    this.waiting = []; // jobs not started yet
+    this.running = new Set(); // jobs with a live process
+  }
+
+  // Queue a command with its arguments. It runs without a shell, so paths and profile values are passed to
+  // Ghostscript as they are. Resolves with { stdout, stderr }; rejects with the execFile error,
+  // a timeout error, or a CANCELLED error when `signal` aborts or cancelAll() is called.
+  // `encoding: "buffer"` and a larger `maxBuffer` are for jobs that write an image to stdout.
+  run(command, args, { timeoutMs = this.timeoutMs, signal, encoding = "utf8", maxBuffer = 16 * 1024 * 1024 } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(cancelledError());
+        return;
+      }
+
+      const job = { command, args, timeoutMs, signal, encoding, maxBuffer, resolve, reject, child: null, onAbort: null };
+      if (signal) {
+        job.onAbort = () => this.cancel(job);
+        signal.addEventListener("abort", job.onAbort, { once: true });
+      }
+
+      this.waiting.push(job);
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.running.size < this.concurrency && this.waiting.length > 0) {
+      this.start(this.waiting.shift());
+    }
+  }
+
+  start(job) {
+    this.running.add(job);
+    job.child = execFile(job.command, job.args, { timeout: job.timeoutMs, encoding: job.encoding, maxBuffer: job.maxBuffer }, (error, stdout, stderr) => {
+      this.finish(job);
+      if (job.cancelled) {
+        return; // already rejected by cancel()
+      } else if (error && error.killed) {
+        job.reject(new Error(`Ghostscript timed out after ${Math.round(job.timeoutMs / 1000)}s`));
+      } else if (error) {
+        job.reject(error);
+      } else {
+        job.resolve({ stdout, stderr });
+      }
+    });
+  }
+
+  finish(job) {
+    this.running.delete(job);
+    job.signal?.removeEventListener("abort", job.onAbort);
+    this.next();
+  }
+
+  cancel(job) {
+    job.cancelled = true;
+    const index = this.waiting.indexOf(job);
+    if (index !== -1) {
+      this.waiting.splice(index, 1);
+      job.signal?.removeEventListener("abort", job.onAbort);
+      job.reject(cancelledError());
+    } else if (job.child) {
+      // Reject now; the slot stays taken until the process has actually exited
+      job.child.kill();
+      job.reject(cancelledError());
+    }
+  }
+
+  // Cancel every queued and running job, e.g. on shutdown
+  cancelAll() {
+    for (const job of [...this.waiting, ...this.running]) {
+      this.cancel(job);
+    }
+  }
+
+  get stats() {
+    return { running: this.running.size, waiting: this.waiting.length, concurrency: this.concurrency };
+  }
+}
@@ -0,0 +1,132 @@
+import {
+  BarcodeFormat,
+  BinaryBitmap,
+  DecodeHintType,
+  GlobalHistogramBinarizer,
+  HybridBinarizer,
+  MultiFormatReader,
+  RGBLuminanceSource,
+} from "@zxing/library";
+
+// How the barcode stage reads barcodes:
+// remote (OCR API only), local (this station only), local-then-remote / remote-then-local
+// (primary with fallback), or cross-check (both must agree when both find one)
+export const BARCODE_MODES = ["remote", "local", "local-then-remote", "remote-then-local", "cross-check"];
+
+// Symbologies tried by default; answer booklets use 1D codes, cover sheets sometimes QR/DataMatrix
+export const DEFAULT_BARCODE_FORMATS = ["CODE_128", "CODE_39", "CODE_93", "CODABAR", "ITF", "EAN_13", "EAN_8", "UPC_A", "QR_CODE", "DATA_MATRIX", "PDF_417", "AZTEC"];
+
+// Parse a binary PGM (P5) image as written by Ghostscript's pgmraw device
+export function parsePgm(buffer) {
+  const fields = [];
+  let offset = 0;
+
+  // Header: magic, width, height, maxval, separated by whitespace, with optional # comments
+  while (fields.length < 4) {
+    while (offset < buffer.length && /\s/.test(String.fromCharCode(buffer[offset]))) offset++;
+    if (buffer[offset] === 0x23) {
+      while (offset < buffer.length && buffer[offset] !== 0x0a) offset++;
+      continue;
+    }
+    const start = offset;
+    while (offset < buffer.length && !/\s/.test(String.fromCharCode(buffer[offset]))) offset++;
+    if (start === offset) throw new Error("Truncated PGM header");
+    fields.push(buffer.toString("ascii", start, offset));
+  }
+  offset++; // Single whitespace byte before the raster
+
+  const [magic, width, height, maxval] = [fields[0], Number(fields[1]), Number(fields[2]), Number(fields[3])];
+  if (magic !== "P5") throw new Error(`Unsupported image format ${magic}, expected P5`);
+  if (maxval > 255) throw new Error("16-bit PGM is not supported");
+  if (buffer.length - offset < width * height) throw new Error("Truncated PGM raster");
+
+  return { width, height, pixels: new Uint8ClampedArray(buffer.buffer, buffer.byteOffset + offset, width * height) };
+}
+
+// Render one page of a PDF to an 8-bit grayscale bitmap with Ghostscript, run through `pool` (a GhostscriptPool)
+// so it counts against the concurrency limit and is cancelled with the other jobs on shutdown
+export async function renderPage(pdfPath, { pool, gsCommand = "gs", page = 1, dpi = 200, signal } = {}) {
+  const args = [
+    "-q",
+    "-dNOPAUSE",
+    "-dBATCH",
+    "-dSAFER",
+    "-sDEVICE=pgmraw",
+    `-r${dpi}`,
+    `-dFirstPage=${page}`,
+    `-dLastPage=${page}`,
+    "-sOutputFile=-",
+    pdfPath,
+  ];
+
+  let stdout;
+  try {
+    ({ stdout } = await pool.run(gsCommand, args, { signal, encoding: "buffer", maxBuffer: 256 * 1024 * 1024 }));
+  } catch (error) {
+    if (error.code === "CANCELLED") throw error;
+    throw new Error(`Page render failed: ${error.message.trim()}`); // execFile's message includes Ghostscript's stderr
+  }
+
+  try {
+    return parsePgm(stdout);
+  } catch (parseError) {
+    throw new Error(`Page render failed: ${parseError.message}`);
+  }
+}
+
+// Pixel rectangle for a region given as fractions of the page ({ x, y, width, height } in 0..1)
+function regionToPixels(region, width, height) {
+  if (!region) return { left: 0, top: 0, width, height };
+
+  const left = Math.max(0, Math.floor((region.x || 0) * width));
+  const top = Math.max(0, Math.floor((region.y || 0) * height));
+  return {
+    left,
+    top,
+    width: Math.min(width - left, Math.ceil((region.width ?? 1) * width)),
+    height: Math.min(height - top, Math.ceil((region.height ?? 1) * height)),
+  };
+}
+
+// Decode the first barcode found in a grayscale bitmap; null when there is none
+export function decodeBitmap({ width, height, pixels }, { formats = DEFAULT_BARCODE_FORMATS, region = null } = {}) {
+  const unknown = formats.filter((format) => BarcodeFormat[format] === undefined);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown barcode format: ${unknown.join(", ")}`);
+  }
+
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, formats.map((format) => BarcodeFormat[format]));
+  hints.set(DecodeHintType.TRY_HARDER, true);
+
+  const reader = new MultiFormatReader();
+  reader.setHints(hints);
+
+  const crop = regionToPixels(region, width, height);
+  const source = new RGBLuminanceSource(pixels, crop.width, crop.height, width, height, crop.left, crop.top);
+
+  // Hybrid works best for scans with uneven lighting; global histogram catches thin 1D bars it misses
+  for (const Binarizer of [HybridBinarizer, GlobalHistogramBinarizer]) {
+    try {
+      const result = reader.decodeWithState(new BinaryBitmap(new Binarizer(source)));
+      return { barcode: result.getText(), format: BarcodeFormat[result.getBarcodeFormat()] };
+    } catch {
+      // NotFoundException / FormatException / ChecksumException: try the next binarizer
+    }
+  }
+  return null;
+}
+
+// Read a PDF's barcode locally. Resolves to the same { data: { barcode } } shape as the OCR API.
+export async function readBarcodeLocally(pdfPath, { pool, gsCommand, page = 1, dpi = 200, region = null, formats, signal } = {}) {
+  const bitmap = await renderPage(pdfPath, { pool, gsCommand, page, dpi, signal });
+  const decoded = decodeBitmap(bitmap, { formats, region });
+
+  return {
+    data: {
+      barcode: decoded?.barcode || "",
+      format: decoded?.format || null,
+      page,
+    },
+  };
+}
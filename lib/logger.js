@@ -0,0 +1,88 @@
+import fs from "fs";
+import { RotatingFile, archivedFiles, readLogFile } from "./rotating-file.js";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+// Level for a message logged without one, following the emoji prefixes the messages already use
+export function levelOf(message) {
+  if (message.startsWith("❌")) return "error";
+  if (message.startsWith("⚠️")) return "warn";
+  return "info";
+}
+
+// Leveled logger writing one JSON object per line to a rotating file:
+// { time, level, msg, ...fields } where fields are the station's (scanner, pc) plus whatever the call passes
+// (file, folder, stage, batch, durationMs, code, ...). The console keeps the readable "[time] message" form.
+export class Logger {
+  constructor(filePath, { level = "info", console = true, fields = {}, onError, ...rotation } = {}) {
+    this.file = new RotatingFile(filePath, { ...rotation, onError: onError ?? ((error) => globalThis.console.error(`Log rotation failed: ${error.message}`)) });
+    this.fields = fields;
+    this.console = console;
+    this.setLevel(level);
+  }
+
+  configure({ level = this.level, console = this.console, fields = this.fields, ...rotation } = {}) {
+    this.setLevel(level);
+    this.console = console;
+    this.fields = fields;
+    this.file.configure(rotation);
+  }
+
+  setLevel(level) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Invalid log level "${level}", expected one of: ${LOG_LEVELS.join(", ")}`);
+    }
+    this.level = level;
+  }
+
+  enabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+  }
+
+  // Returns the entry written, or null when the level is filtered out
+  log(level, message, fields = {}) {
+    if (!this.enabled(level)) return null;
+
+    const entry = { time: new Date().toISOString(), level, msg: message, ...this.fields, ...fields };
+    if (this.console) {
+      globalThis.console.log(`[${entry.time}] ${message}`);
+    }
+    this.file.append(`${JSON.stringify(entry)}\n`);
+    return entry;
+  }
+
+  // Wait for log rotation still in progress, e.g. before exiting
+  flush() {
+    return this.file.flush();
+  }
+
+  debug(message, fields) {
+    return this.log("debug", message, fields);
+  }
+
+  info(message, fields) {
+    return this.log("info", message, fields);
+  }
+
+  warn(message, fields) {
+    return this.log("warn", message, fields);
+  }
+
+  error(message, fields) {
+    return this.log("error", message, fields);
+  }
+}
+
+// Parsed entries of a JSON-lines log and its rotated copies, oldest first. Lines that aren't JSON are skipped.
+export function readLogEntries(filePath) {
+  return [...archivedFiles(filePath), filePath]
+    .filter((file) => fs.existsSync(file))
+    .flatMap((file) => readLogFile(file).split("\n"))
+    .flatMap((line) => {
+      try {
+        return line.trim() ? [JSON.parse(line)] : [];
+      } catch {
+        return [];
+      }
+    });
+}
@@ -0,0 +1,115 @@
+import http from "node:http";
+import client from "prom-client";
+
+export const DEFAULT_METRICS_PORT = 9464;
+
+const LOOPBACK_HOSTS = ["127.0.0.1", "localhost", "::1"];
+
+// Prometheus metrics for one station. Every series carries the station's scanner/pc labels
+// (set with setStationLabels once the settings are known), so several PCs can share one dashboard.
+// `queueDepth` is called at scrape time for the upload queue gauge.
+export function createMetrics({ queueDepth = () => 0 } = {}) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix: "upload_automation_" });
+
+  return {
+    registry,
+
+    filesDetected: new client.Counter({
+      name: "upload_automation_files_detected_total",
+      help: "PDFs picked up by a pipeline stage",
+      labelNames: ["stage"],
+      registers: [registry],
+    }),
+
+    barcodeChecks: new client.Counter({
+      name: "upload_automation_barcode_checks_total",
+      help: "Barcode checks by result (match, mismatch, error)",
+      labelNames: ["result"],
+      registers: [registry],
+    }),
+
+    compressionRatio: new client.Histogram({
+      name: "upload_automation_compression_ratio",
+      help: "Compressed size divided by original size",
+      labelNames: ["profile"],
+      buckets: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1, 1.25, 1.5],
+      registers: [registry],
+    }),
+
+    compressionDuration: new client.Histogram({
+      name: "upload_automation_compression_duration_seconds",
+      help: "Time spent in Ghostscript compressing one PDF",
+      labelNames: ["profile", "outcome"],
+      buckets: [0.5, 1, 2, 5, 10, 20, 30, 60, 120],
+      registers: [registry],
+    }),
+
+    uploadRequests: new client.Counter({
+      name: "upload_automation_upload_requests_total",
+      help: "Requests to the upload API by HTTP status code (or failure category when there was no response)",
+      labelNames: ["status"],
+      registers: [registry],
+    }),
+
+    uploadDuration: new client.Histogram({
+      name: "upload_automation_upload_duration_seconds",
+      help: "Upload API request latency",
+      labelNames: ["status"],
+      buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120],
+      registers: [registry],
+    }),
+
+    queueDepth: new client.Gauge({
+      name: "upload_automation_upload_queue_depth",
+      help: "Files waiting in the upload queue",
+      registers: [registry],
+      collect() {
+        this.set(queueDepth());
+      },
+    }),
+
+    watcherErrors: new client.Counter({
+      name: "upload_automation_watcher_errors_total",
+      help: "Errors reported by the folder watchers",
+      labelNames: ["watcher"],
+      registers: [registry],
+    }),
+  };
+}
+
+export function setStationLabels(metrics, { scanner, pc }) {
+  metrics.registry.setDefaultLabels({ scanner: scanner || "", pc: pc || "" });
+}
+
+// Serve GET /metrics for Prometheus to scrape. Binds to localhost by default; set metrics.host (e.g. "0.0.0.0")
+// for a central Prometheus to reach it. There's no authentication, so `log` gets a warning when it's exposed.
+export function startMetricsServer(metrics, { port = DEFAULT_METRICS_PORT, host = "127.0.0.1", log = () => {} } = {}) {
+  if (!LOOPBACK_HOSTS.includes(host)) {
+    log(`⚠️ Metrics are served on ${host} without authentication: anyone who can reach this PC can read its name, scanner and counters`);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== "GET" || new URL(req.url, "http://localhost").pathname !== "/metrics") {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not found\n");
+      return;
+    }
+    try {
+      const body = await metrics.registry.metrics();
+      res.writeHead(200, { "Content-Type": metrics.registry.contentType });
+      res.end(body);
+    } catch (error) {
+      res.writeHead(500, { "Content-Type": "text/plain" });
+      res.end(`${error.message}\n`);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve({ server, url: `http://${host.includes(":") ? `[${host}]` : host}:${server.address().port}/metrics` });
+    });
+  });
+}
@@ -0,0 +1,156 @@
+import fs from "fs";
+import pdf from "pdf-parse";
+
+// Limits a PDF must meet at intake, see CONFIG.validation. null means no limit.
+export const DEFAULT_VALIDATION = { minPages: 1, maxPages: null, minSizeKB: 1, maxSizeMB: null };
+
+// What can be wrong with a PDF; the code goes into the quarantine reason and the logs
+export const PDF_PROBLEMS = {
+  EMPTY: "empty",
+  NOT_PDF: "not-pdf",
+  TRUNCATED: "truncated",
+  BAD_XREF: "bad-xref",
+  ENCRYPTED: "encrypted",
+  UNREADABLE: "unreadable",
+  NO_PAGES: "no-pages",
+  TOO_FEW_PAGES: "too-few-pages",
+  TOO_MANY_PAGES: "too-many-pages",
+  TOO_SMALL: "too-small",
+  TOO_LARGE: "too-large",
+};
+
+// Check the file's skeleton: header, %%EOF at the end, and a startxref that points at a cross-reference
+// table or stream. pdf-parse quietly rebuilds a damaged xref, so it wouldn't tell us about these.
+// Returns the startxref offset when it points at a cross-reference section, else null.
+function checkStructure(buffer, fail) {
+  if (!buffer.subarray(0, 1024).toString("latin1").includes("%PDF-")) {
+    fail(PDF_PROBLEMS.NOT_PDF, "No %PDF- header, not a PDF file");
+    return null;
+  }
+
+  const tail = buffer.subarray(-2048).toString("latin1");
+  if (!tail.includes("%%EOF")) {
+    fail(PDF_PROBLEMS.TRUNCATED, "No %%EOF marker at the end, the file is truncated");
+    return null;
+  }
+
+  const startxref = [...tail.matchAll(/startxref\s+(\d+)/g)].pop();
+  if (!startxref) {
+    fail(PDF_PROBLEMS.BAD_XREF, "No startxref before %%EOF");
+    return null;
+  }
+
+  const offset = Number(startxref[1]);
+  const target = offset < buffer.length ? buffer.subarray(offset, offset + 64).toString("latin1") : "";
+  if (!/^\s*(xref|\d+\s+\d+\s+obj)/.test(target)) {
+    fail(PDF_PROBLEMS.BAD_XREF, `startxref points at byte ${offset}, which is not a cross-reference table`);
+    return null;
+  }
+  return offset;
+}
+
+// Names at the top level of the dictionary starting at `open` ("<<"), or null if it doesn't close.
+// Skips nested dictionaries, strings and comments, so an /Encrypt inside them doesn't count.
+function topLevelNames(text, open) {
+  const names = [];
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    const char = text[i];
+    if (char === "<" && text[i + 1] === "<") {
+      depth++;
+      i++;
+    } else if (char === ">" && text[i + 1] === ">") {
+      depth--;
+      i++;
+      if (depth === 0) return names;
+    } else if (char === "<") {
+      i = text.indexOf(">", i); // Hex string
+      if (i === -1) return null;
+    } else if (char === "(") {
+      // Literal string: balanced parentheses, backslash escapes
+      for (let nesting = 1; nesting > 0 && ++i < text.length; ) {
+        if (text[i] === "\\") i++;
+        else if (text[i] === "(") nesting++;
+        else if (text[i] === ")") nesting--;
+      }
+    } else if (char === "%") {
+      while (i < text.length && text[i] !== "\n" && text[i] !== "\r") i++;
+    } else if (char === "/" && depth === 1) {
+      const [name] = text.slice(i + 1).match(/^[^\s/<>[\]()%{}]*/);
+      names.push(name.replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))));
+      i += name.length;
+    }
+  }
+  return null;
+}
+
+// Whether the trailer has an /Encrypt entry. The trailer is the dictionary after the cross-reference table that
+// startxref points at, or for a cross-reference stream that stream's own dictionary (never compressed). An
+// incremental update's trailer repeats the entries of the one before, so the last one is enough.
+function hasEncryptEntry(buffer, startxref) {
+  const section = buffer.subarray(startxref, startxref + 64).toString("latin1");
+  const from = /^\s*xref/.test(section) ? buffer.indexOf("trailer", startxref, "latin1") : startxref;
+  if (from === -1) return false;
+
+  const text = buffer.subarray(from, from + 64 * 1024).toString("latin1");
+  const open = text.indexOf("<<");
+  return open !== -1 && Boolean(topLevelNames(text, open)?.includes("Encrypt"));
+}
+
+// Fully parse a PDF and check it against `limits` (see DEFAULT_VALIDATION).
+// Resolves to { ok, pages, size, info, problems: [{ code, message }], reason }; pages is null when it couldn't be parsed.
+export async function validatePdf(filePath, limits = DEFAULT_VALIDATION) {
+  const { minPages, maxPages, minSizeKB, maxSizeMB } = { ...DEFAULT_VALIDATION, ...limits };
+  const buffer = await fs.promises.readFile(filePath);
+  const problems = [];
+  const fail = (code, message) => problems.push({ code, message });
+  let pages = null;
+  let info = {};
+
+  if (buffer.length === 0) {
+    fail(PDF_PROBLEMS.EMPTY, "File is empty");
+  } else {
+    const startxref = checkStructure(buffer, fail);
+
+    if (startxref !== null && hasEncryptEntry(buffer, startxref)) {
+      fail(PDF_PROBLEMS.ENCRYPTED, "PDF is encrypted");
+    }
+
+    // Parse every page, not just the first: damage further in should fail here, not at OCR or upload
+    if (!problems.some((problem) => problem.code === PDF_PROBLEMS.NOT_PDF)) {
+      try {
+        const data = await pdf(buffer);
+        pages = data.numpages;
+        info = data.info || {};
+      } catch (error) {
+        if (error.name === "PasswordException") {
+          if (!problems.some((problem) => problem.code === PDF_PROBLEMS.ENCRYPTED)) fail(PDF_PROBLEMS.ENCRYPTED, "PDF is password protected");
+        } else {
+          fail(PDF_PROBLEMS.UNREADABLE, `PDF could not be parsed: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  if (pages === 0) {
+    fail(PDF_PROBLEMS.NO_PAGES, "PDF has no pages");
+  } else if (pages !== null) {
+    if (minPages && pages < minPages) fail(PDF_PROBLEMS.TOO_FEW_PAGES, `${pages} page(s), expected at least ${minPages}`);
+    if (maxPages && pages > maxPages) fail(PDF_PROBLEMS.TOO_MANY_PAGES, `${pages} page(s), expected at most ${maxPages}`);
+  }
+  if (buffer.length > 0 && minSizeKB && buffer.length < minSizeKB * 1024) {
+    fail(PDF_PROBLEMS.TOO_SMALL, `${(buffer.length / 1024).toFixed(1)} KB, expected at least ${minSizeKB} KB`);
+  }
+  if (maxSizeMB && buffer.length > maxSizeMB * 1024 * 1024) {
+    fail(PDF_PROBLEMS.TOO_LARGE, `${(buffer.length / (1024 * 1024)).toFixed(1)} MB, expected at most ${maxSizeMB} MB`);
+  }
+
+  return {
+    ok: problems.length === 0,
+    pages,
+    size: buffer.length,
+    info,
+    problems,
+    reason: problems.map((problem) => `[${problem.code}] ${problem.message}`).join("; "),
+  };
+}
@@ -0,0 +1,105 @@
+// Stages a station can run.
+// Watching stages own an input folder and hand files on to the next enabled stage's input
+// (or to their default hand-off folder when they're the last stage on this station).
+// Inline stages have no folder of their own and run inside their host stage.
+export const STAGES = {
+  intake: { input: "SCANNED_FOLDER", output: "LINEARIZED_FOLDER", description: "Pick up scanned PDFs and batch folders" },
+  validate: { host: "intake", description: "Check each PDF's structure, page count and size at intake; quarantine failures" },
+  "blank-pages": { host: "intake", description: "Find blank pages by ink coverage (Ghostscript inkcov), report them and optionally remove them" },
+  report: { host: "intake", description: "Write pdf-report.csv rows at intake" },
+  linearize: { host: "intake", description: "Web-optimize PDFs (Ghostscript FastWebView) on their way out of intake" },
+  barcode: { input: "LINEARIZED_FOLDER", output: "UPLOAD_FOLDER", description: "Check the barcode against the file name" },
+  compress: { host: "upload", description: "Compress PDFs with Ghostscript before upload" },
+  package: { host: "barcode", description: "Zip each batch's booklets that passed the barcode check, with a manifest, into READY_TO_UPLOAD_FOLDER" },
+  upload: { input: "UPLOAD_FOLDER", output: "SYSTEM_UPLOADED", description: "Upload PDFs to the evaluation system" },
+};
+
+// Typical station setups, usable as `pipeline.role` / --role / PIPELINE_ROLE
+export const PIPELINE_ROLES = {
+  "scan-intake": ["intake", "validate", "report", "linearize"],
+  "ocr-verify": ["barcode"],
+  "upload-only": ["compress", "upload"],
+  full: ["intake", "validate", "report", "linearize", "barcode", "compress", "upload"],
+};
+
+export const DEFAULT_ROLE = "upload-only";
+
+// Pipeline misconfiguration is a usage error (exit code 2)
+function pipelineError(message) {
+  const error = new Error(message);
+  error.exitCode = 2;
+  return error;
+}
+
+// Normalize a stage list entry: "barcode" or { name: "barcode", enabled: false, ...options }
+function normalizeStage(entry) {
+  const stage = typeof entry === "string" ? { name: entry } : { ...entry };
+  if (!stage.name || !STAGES[stage.name]) {
+    throw pipelineError(`Unknown pipeline stage "${stage.name ?? JSON.stringify(entry)}", expected one of: ${Object.keys(STAGES).join(", ")}`);
+  }
+  return { ...stage, enabled: stage.enabled !== false };
+}
+
+// Work out which stages run on this station and how they chain folder-to-folder.
+// `folders` maps setting names (UPLOAD_FOLDER, ...) to paths.
+// Returns the enabled stages in order, each with `input`/`output` paths and the inline stages it hosts,
+// plus warnings for stages that were enabled but can't run as configured.
+export function resolvePipeline({ role, stages }, folders) {
+  let entries;
+  if (stages) {
+    if (!Array.isArray(stages)) {
+      throw pipelineError("pipeline.stages must be a list of stage names or { name, enabled } objects");
+    }
+    entries = stages;
+  } else {
+    const roleName = role || DEFAULT_ROLE;
+    if (!PIPELINE_ROLES[roleName]) {
+      throw pipelineError(`Unknown pipeline role "${roleName}", expected one of: ${Object.keys(PIPELINE_ROLES).join(", ")}`);
+    }
+    entries = PIPELINE_ROLES[roleName];
+  }
+
+  const enabled = entries.map(normalizeStage).filter((stage) => stage.enabled);
+  const names = enabled.map((stage) => stage.name);
+  const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+  if (duplicates.length > 0) {
+    throw pipelineError(`Pipeline stage listed twice: ${[...new Set(duplicates)].join(", ")}`);
+  }
+
+  const warnings = [];
+  const watching = enabled.filter((stage) => STAGES[stage.name].input);
+
+  // Files only flow one way (intake → barcode → upload), so the watching stages must be listed in that order
+  const order = Object.keys(STAGES).filter((name) => STAGES[name].input);
+  const misplaced = watching.find((stage, index) => index > 0 && order.indexOf(stage.name) < order.indexOf(watching[index - 1].name));
+  if (misplaced) {
+    const previous = watching[watching.indexOf(misplaced) - 1];
+    throw pipelineError(`Pipeline stage "${misplaced.name}" is listed after "${previous.name}", expected the order: ${order.join(", ")}`);
+  }
+
+  const resolved = watching.map((stage, index) => {
+    const definition = STAGES[stage.name];
+    const next = watching[index + 1];
+    return {
+      ...stage,
+      input: folders[definition.input],
+      output: next ? folders[STAGES[next.name].input] : folders[definition.output],
+      inline: enabled.filter((inline) => STAGES[inline.name].host === stage.name).map((inline) => inline.name),
+    };
+  });
+
+  for (const stage of enabled) {
+    const definition = STAGES[stage.name];
+    if (definition.host && !names.includes(definition.host)) {
+      warnings.push(`Stage "${stage.name}" runs inside "${definition.host}", which is not enabled on this station`);
+    }
+  }
+
+  return { stages: resolved, enabled: names, warnings };
+}
+
+// One-line description of a resolved pipeline for logs
+export function describePipeline(pipeline) {
+  if (pipeline.stages.length === 0) return "(no stages)";
+  return pipeline.stages.map((stage) => `${stage.name}${stage.inline.length ? `[+${stage.inline.join(",")}]` : ""}`).join(" → ");
+}
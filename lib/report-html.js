@@ -0,0 +1,87 @@
+import { formatReasons } from "./report.js";
+
+const esc = (text) => String(text ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+const COLUMNS = [
+  ["Files", "files"],
+  ["Pages", "pages"],
+  ["MB scanned", "sizeMB"],
+  ["MB before compression", "compressedFromMB"],
+  ["MB after compression", "compressedToMB"],
+  ["Barcode mismatches", "barcodeMismatches"],
+  ["Uploaded", "uploadsCompleted"],
+  ["Upload failures", "uploadsFailed"],
+  ["Files / hour", "filesPerHour"],
+];
+
+function groupTable(title, label, groups) {
+  const rows = Object.entries(groups);
+  if (rows.length === 0) return "";
+
+  return `<h2>${esc(title)}</h2>
+<table>
+<tr><th>${esc(label)}</th>${COLUMNS.map(([column]) => `<th>${esc(column)}</th>`).join("")}<th>Failure reasons</th></tr>
+${rows
+  .map(([name, totals]) => `<tr><td>${esc(name)}</td>${COLUMNS.map(([, key]) => `<td class="num">${esc(totals[key])}</td>`).join("")}<td>${esc(formatReasons(totals.failureReasons))}</td></tr>`)
+  .join("\n")}
+</table>`;
+}
+
+function hourlyTable(hourly) {
+  const rows = Object.entries(hourly);
+  if (rows.length === 0) return "";
+
+  return `<h2>Throughput per hour (UTC)</h2>
+<table>
+<tr><th>Hour</th><th>Scanned</th><th>Uploaded</th></tr>
+${rows.map(([hour, { scanned, uploaded }]) => `<tr><td>${esc(hour)}:00</td><td class="num">${scanned}</td><td class="num">${uploaded}</td></tr>`).join("\n")}
+</table>`;
+}
+
+// Self-contained HTML page (inline styles, no scripts or external assets) for buildReport() output,
+// so it can be mailed or opened straight from a shared folder
+export function reportToHtml(report) {
+  const { totals, period } = report;
+  const scope = [period.date && `day ${period.date}`, period.since && `since ${period.since}`, period.batch && `batch ${period.batch}`].filter(Boolean).join(", ") || "all logged activity";
+  const summary = [
+    ["Files scanned", `${totals.files} (${totals.pages} pages, ${totals.sizeMB} MB)`],
+    ["Compression", `${totals.compressedFromMB} MB → ${totals.compressedToMB} MB`],
+    ["Barcode mismatches", totals.barcodeMismatches],
+    ["Uploads completed", totals.uploadsCompleted],
+    ["Uploads failed", totals.uploadsFailed],
+    ["Files per hour", totals.filesPerHour],
+  ];
+  const reasons = Object.entries(totals.failureReasons).sort(([, a], [, b]) => b - a);
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Scan report – ${esc(scope)}</title>
+<style>
+  body { font: 14px system-ui, sans-serif; margin: 1.5em; color: #222; }
+  h1 { font-size: 1.3em; margin: 0 0 .2em; }
+  h2 { font-size: 1.05em; margin: 1.6em 0 .4em; }
+  table { border-collapse: collapse; }
+  td, th { padding: .25em .8em .25em 0; text-align: left; vertical-align: top; }
+  th { font-weight: 600; border-bottom: 1px solid #ccc; }
+  .num { text-align: right; }
+  .muted { color: #888; }
+</style>
+</head>
+<body>
+<h1>Scan report</h1>
+<div class="muted">${esc(scope)} · generated ${esc(report.generatedAt)}</div>
+<h2>Summary</h2>
+<table>
+${summary.map(([label, value]) => `<tr><th>${esc(label)}</th><td>${esc(value)}</td></tr>`).join("\n")}
+</table>
+${groupTable("Per day (UTC)", "Day", report.days)}
+${groupTable("Per batch folder", "Batch", report.batches)}
+${groupTable("Per scanner / PC", "Station", report.stations)}
+${hourlyTable(report.hourly)}
+${reasons.length ? `<h2>Upload failure reasons</h2>\n<table>\n<tr><th>Reason</th><th>Files</th></tr>\n${reasons.map(([reason, count]) => `<tr><td>${esc(reason)}</td><td class="num">${count}</td></tr>`).join("\n")}\n</table>` : ""}
+</body>
+</html>
+`;
+}
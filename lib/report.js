@@ -0,0 +1,240 @@
+import { formatCsvRow } from "./csv.js";
+import { FILE_STATES } from "./upload-journal.js";
+
+// Keep only records whose timestamp falls on the given day (YYYY-MM-DD) or later than `since`
+function filterByDate(records, { date, since }, timeOf = (record) => record.Timestamp) {
+  return records.filter((record) => {
+    const timestamp = timeOf(record) || "";
+    if (date && !timestamp.startsWith(date)) return false;
+    if (since && timestamp < since) return false;
+    return true;
+  });
+}
+
+function increment(map, key, amount = 1) {
+  map[key] = (map[key] || 0) + amount;
+}
+
+// scan-log.csv actions that decide a file's fate, for pass/fail rates
+const PASS_ACTIONS = ["OCR Check & Move", "OCR Verified", "Upload Complete"];
+const FAIL_ACTIONS = ["OCR Check", "OCR Failed", "Upload Failed", "Upload Response", "Duplicate", "Quarantined"];
+
+// Pass/fail counts per batch folder and per scanner from scan-log.csv rows.
+// The log only has folder paths, so `batchOf(event)` works out which batch a row belongs to.
+export function passFailRates(events, { batchOf = () => "(none)" } = {}) {
+  const byBatch = {};
+  const byScanner = {};
+
+  for (const event of events) {
+    const outcome = PASS_ACTIONS.includes(event.Action) && event.Status === "Pass" ? "pass" : FAIL_ACTIONS.includes(event.Action) && event.Status === "Fail" ? "fail" : null;
+    if (!outcome) continue;
+
+    for (const [rates, key] of [
+      [byBatch, batchOf(event) || "(none)"],
+      [byScanner, event.Scanner || "(unknown)"],
+    ]) {
+      rates[key] ??= { pass: 0, fail: 0, total: 0 };
+      rates[key][outcome]++;
+      rates[key].total++;
+    }
+  }
+
+  return { byBatch, byScanner };
+}
+
+const MB = 1024 * 1024;
+
+// scan-log.csv actions counted as barcode mismatches and finished uploads
+const MISMATCH_ACTIONS = ["OCR Check", "OCR Failed"];
+const UPLOAD_FAILED_ACTIONS = ["Upload Failed", "Upload Response"];
+
+function emptyTotals() {
+  return {
+    files: 0,
+    pages: 0,
+    sizeMB: 0,
+    compressedFromMB: 0,
+    compressedToMB: 0,
+    barcodeMismatches: 0,
+    uploadsCompleted: 0,
+    uploadsFailed: 0,
+    failureReasons: {},
+    filesPerHour: 0,
+    firstScanAt: null,
+    lastScanAt: null,
+  };
+}
+
+// Why an upload failed, without the API status boilerplate the messages start with
+function failureReason(message) {
+  return (message || "").replace(/^API Status: .*?, Message: .*?, (Error: )?/, "") || "(no reason logged)";
+}
+
+// Files per hour while the group was scanning: first to last scan, counted as at least an hour
+function finishTotals(totals) {
+  if (totals.files > 0) {
+    const hours = Math.max(1, (new Date(totals.lastScanAt) - new Date(totals.firstScanAt)) / 3600000);
+    totals.filesPerHour = Number((totals.files / hours).toFixed(1));
+  }
+  for (const key of ["sizeMB", "compressedFromMB", "compressedToMB"]) {
+    totals[key] = Number(totals[key].toFixed(2));
+  }
+  return totals;
+}
+
+// End-of-day report from the logs: per day (UTC, like the log timestamps), per batch folder and per scanner/PC.
+// - pdfReports (pdf-report.csv rows): files scanned, pages and size
+// - uploads (upload-journal.jsonl records of `station`): size before and after compression of each uploaded file
+// - events (scan-log.csv rows): barcode mismatches and upload outcomes with reasons
+// `batchOf(event)` works out the batch folder of a scan-log row; `batch` keeps only that batch folder.
+export function buildReport({ events = [], pdfReports = [], uploads = [], station = {}, batchOf = () => null, date = null, since = null, batch = null }) {
+  const totals = emptyTotals();
+  const days = {};
+  const batches = {};
+  const stations = {};
+  const hourly = {}; // "YYYY-MM-DD HH" -> { scanned, uploaded }
+
+  // Every group a record counts towards
+  const groupsFor = ({ timestamp, batchName, scanner, pc }) => {
+    const day = timestamp.slice(0, 10);
+    const station = `${scanner || "(unknown)"} @ ${pc || "(unknown)"}`;
+    return [totals, (days[day] ??= emptyTotals()), (batches[batchName || "(none)"] ??= emptyTotals()), (stations[station] ??= emptyTotals())];
+  };
+  const keep = (batchName) => !batch || batchName === batch;
+  const hour = (timestamp) => (hourly[`${timestamp.slice(0, 10)} ${timestamp.slice(11, 13)}`] ??= { scanned: 0, uploaded: 0 });
+
+  for (const report of filterByDate(pdfReports, { date, since })) {
+    const batchName = report.BaseFolder || null;
+    if (!keep(batchName)) continue;
+
+    for (const group of groupsFor({ timestamp: report.Timestamp, batchName, scanner: report.ScannerName, pc: report.PCName })) {
+      group.files++;
+      group.pages += Number(report.PageCount) || 0;
+      group.sizeMB += Number(report.FileSizeMB) || 0;
+      if (!group.firstScanAt || report.Timestamp < group.firstScanAt) group.firstScanAt = report.Timestamp;
+      if (!group.lastScanAt || report.Timestamp > group.lastScanAt) group.lastScanAt = report.Timestamp;
+    }
+    hour(report.Timestamp).scanned++;
+  }
+
+  // Counted once per file, when it went up compressed
+  const compressed = uploads.filter((record) => record.state === FILE_STATES.UPLOADED && record.sizeBefore != null);
+  for (const record of filterByDate(compressed, { date, since }, (record) => record.timestamp)) {
+    const batchName = batchOf({ File: record.file, Folder: "" });
+    if (!keep(batchName)) continue;
+
+    for (const group of groupsFor({ timestamp: record.timestamp, batchName, scanner: station.scanner, pc: station.pc })) {
+      group.compressedFromMB += record.sizeBefore / MB;
+      group.compressedToMB += record.sizeAfter / MB;
+    }
+  }
+
+  for (const event of filterByDate(events, { date, since })) {
+    const mismatch = MISMATCH_ACTIONS.includes(event.Action) && event.Status === "Fail";
+    const uploaded = event.Action === "Upload Complete" && event.Status === "Pass";
+    const failed = UPLOAD_FAILED_ACTIONS.includes(event.Action) && event.Status === "Fail";
+    if (!mismatch && !uploaded && !failed) continue;
+
+    const batchName = batchOf(event);
+    if (!keep(batchName)) continue;
+
+    for (const group of groupsFor({ timestamp: event.Timestamp, batchName, scanner: event.Scanner, pc: event.PC })) {
+      if (mismatch) group.barcodeMismatches++;
+      if (uploaded) group.uploadsCompleted++;
+      if (failed) {
+        group.uploadsFailed++;
+        increment(group.failureReasons, failureReason(event.Message));
+      }
+    }
+    if (uploaded) hour(event.Timestamp).uploaded++;
+  }
+
+  const finish = (groups) => Object.fromEntries(Object.entries(groups).sort(([a], [b]) => a.localeCompare(b)).map(([name, group]) => [name, finishTotals(group)]));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    period: { date, since, batch },
+    totals: finishTotals(totals),
+    days: finish(days),
+    batches: finish(batches),
+    stations: finish(stations),
+    hourly: Object.fromEntries(Object.entries(hourly).sort(([a], [b]) => a.localeCompare(b))),
+  };
+}
+
+const REPORT_COLUMNS = [
+  ["Files", "files"],
+  ["Pages", "pages"],
+  ["SizeMB", "sizeMB"],
+  ["CompressedFromMB", "compressedFromMB"],
+  ["CompressedToMB", "compressedToMB"],
+  ["BarcodeMismatches", "barcodeMismatches"],
+  ["UploadsCompleted", "uploadsCompleted"],
+  ["UploadsFailed", "uploadsFailed"],
+  ["FilesPerHour", "filesPerHour"],
+];
+
+// "reason (count); ..." most frequent first
+export function formatReasons(reasons) {
+  return Object.entries(reasons)
+    .sort(([, a], [, b]) => b - a)
+    .map(([reason, count]) => `${reason} (${count})`)
+    .join("; ");
+}
+
+// One CSV for the whole report: a row per group (total, day, batch, station), then per-hour throughput rows
+export function reportToCsv(report) {
+  const rows = [formatCsvRow(["Group", "Name", ...REPORT_COLUMNS.map(([column]) => column), "FailureReasons"])];
+  const groupRow = (group, name, totals) => formatCsvRow([group, name, ...REPORT_COLUMNS.map(([, key]) => totals[key]), formatReasons(totals.failureReasons)]);
+
+  rows.push(groupRow("total", report.period.date || report.period.batch || "all", report.totals));
+  for (const [group, entries] of [
+    ["day", report.days],
+    ["batch", report.batches],
+    ["station", report.stations],
+  ]) {
+    Object.entries(entries).forEach(([name, totals]) => rows.push(groupRow(group, name, totals)));
+  }
+  // Hour rows only fill the columns that apply: files scanned and uploads completed
+  Object.entries(report.hourly).forEach(([name, { scanned, uploaded }]) => rows.push(formatCsvRow(["hour", name, scanned, "", "", "", "", "", uploaded, "", "", ""])));
+
+  return rows.join("");
+}
+
+// Plain-text rendering of buildReport() output
+export function formatReport(report) {
+  const lines = [];
+  const { totals, period } = report;
+
+  lines.push(`📊 Report ${[period.date, period.batch].filter(Boolean).join(" ")}`.trim());
+  lines.push(`   Files scanned:      ${totals.files} (${totals.pages} pages, ${totals.sizeMB} MB)`);
+  lines.push(`   Compression:        ${totals.compressedFromMB} MB → ${totals.compressedToMB} MB`);
+  lines.push(`   Barcode mismatches: ${totals.barcodeMismatches}`);
+  lines.push(`   Uploads completed:  ${totals.uploadsCompleted}`);
+  lines.push(`   Uploads failed:     ${totals.uploadsFailed}`);
+  lines.push(`   Files per hour:     ${totals.filesPerHour}`);
+
+  for (const [title, groups] of [
+    ["📅 Days", report.days],
+    ["📁 Batches", report.batches],
+    ["🖥️ Stations", report.stations],
+  ]) {
+    const entries = Object.entries(groups);
+    if (entries.length === 0) continue;
+    lines.push("", `${title}:`);
+    entries.forEach(([name, group]) =>
+      lines.push(
+        `   ${name.padEnd(24)} ${String(group.files).padStart(5)} files ${String(group.pages).padStart(6)} pages ${group.sizeMB.toFixed(2).padStart(9)} MB` +
+          `  ${String(group.uploadsCompleted).padStart(5)} up ${String(group.uploadsFailed).padStart(4)} failed ${String(group.barcodeMismatches).padStart(4)} mismatched`,
+      ),
+    );
+  }
+
+  const reasons = Object.entries(totals.failureReasons);
+  if (reasons.length > 0) {
+    lines.push("", "❌ Upload failures:");
+    reasons.sort(([, a], [, b]) => b - a).forEach(([reason, count]) => lines.push(`   ${String(count).padStart(5)}  ${reason}`));
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,183 @@
+import fs from "fs";
+import path from "path";
+import { parseCsv, formatCsvRow } from "./csv.js";
+import { compileMatching, bookletKey } from "./barcode-match.js";
+
+// Expected-barcode list dropped into a batch folder; intake moves it to ROSTER_FOLDER/<batch>.csv
+export const ROSTER_FILE_NAME = "roster.csv";
+
+// What became of a booklet, as far as the batch is concerned
+export const ROSTER_OUTCOMES = {
+  UPLOADED: "uploaded",
+  PENDING: "pending",
+  FAILED: "failed",
+  DUPLICATE: "duplicate",
+  QUARANTINED: "quarantined",
+};
+
+const BARCODE_COLUMN = /^(barcode|booklet|booklet ?no\.?|booklet ?number|answer ?code)$/i;
+
+// Barcodes listed in a roster CSV, in order and without repeats. A header naming a barcode/booklet column
+// picks that column; without one, the first column of every row is taken as the barcode.
+export function parseRoster(text) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, "")).filter((row) => row.some((value) => value.trim() !== ""));
+  if (rows.length === 0) return [];
+
+  const column = rows[0].findIndex((value) => BARCODE_COLUMN.test(value.trim()));
+  const body = column === -1 ? rows : rows.slice(1);
+  const barcodes = body.map((row) => (row[Math.max(column, 0)] ?? "").trim()).filter(Boolean);
+  return [...new Set(barcodes)];
+}
+
+export function readRoster(rosterPath) {
+  return parseRoster(fs.readFileSync(rosterPath, "utf8"));
+}
+
+// Compare a roster with the booklets seen for its batch: [{ file, barcode, outcome }] where outcome is one of ROSTER_OUTCOMES
+// and barcode is the decoded one, if any. Roster barcodes and booklets are compared under the barcode matching rules
+// (see bookletKey), so "001793" on the roster is booklet 1793 when leading zeros are ignored.
+// A barcode counts as uploaded when any of its copies went up, failed only when none did and none is still on its way.
+// `settled` means nothing is pending any more; `clean` means nothing is missing, extra, duplicated or failed.
+export function reconcileRoster(expected, files, matching = compileMatching()) {
+  const byKey = new Map();
+  for (const entry of files) {
+    const key = bookletKey({ fileName: entry.file, barcode: entry.barcode }, matching);
+    byKey.set(key, [...(byKey.get(key) || []), entry]);
+  }
+
+  // Rows are labelled with the roster's barcode, extras with the decoded barcode or else the file name's stem
+  const expectedKeys = new Map(expected.map((barcode) => [bookletKey({ barcode }, matching), barcode]));
+  const status = (entries) => {
+    const outcomes = entries.map((entry) => entry.outcome);
+    if (outcomes.includes(ROSTER_OUTCOMES.UPLOADED)) return ROSTER_OUTCOMES.UPLOADED;
+    if (outcomes.includes(ROSTER_OUTCOMES.PENDING)) return ROSTER_OUTCOMES.PENDING;
+    return outcomes.includes(ROSTER_OUTCOMES.FAILED) ? ROSTER_OUTCOMES.FAILED : outcomes[0];
+  };
+  const label = (key) => expectedKeys.get(key) ?? byKey.get(key)[0].barcode ?? path.parse(byKey.get(key)[0].file).name;
+
+  const extraKeys = [...byKey.keys()].filter((key) => !expectedKeys.has(key)).sort((a, b) => label(a).localeCompare(label(b)));
+  const rows = [...expectedKeys.keys(), ...extraKeys].map((key) => {
+    const entries = byKey.get(key) || [];
+    return {
+      barcode: label(key),
+      expected: expectedKeys.has(key),
+      status: entries.length ? status(entries) : "missing",
+      files: entries.map((entry) => entry.file),
+      // A quarantined copy that was fixed and scanned again isn't a duplicate
+      duplicate: entries.filter((entry) => entry.outcome !== ROSTER_OUTCOMES.QUARANTINED).length > 1,
+    };
+  });
+
+  const withStatus = (...statuses) => rows.filter((row) => statuses.includes(row.status)).map((row) => row.barcode);
+  const result = {
+    expected: expectedKeys.size,
+    received: rows.filter((row) => row.expected && row.status !== "missing").length,
+    uploaded: withStatus(ROSTER_OUTCOMES.UPLOADED),
+    pending: withStatus(ROSTER_OUTCOMES.PENDING),
+    missing: withStatus("missing"),
+    extra: rows.filter((row) => !row.expected).map((row) => row.barcode),
+    duplicates: rows.filter((row) => row.duplicate || row.status === ROSTER_OUTCOMES.DUPLICATE).map((row) => row.barcode),
+    failed: withStatus(ROSTER_OUTCOMES.FAILED, ROSTER_OUTCOMES.QUARANTINED),
+    rows,
+  };
+  result.settled = result.pending.length === 0;
+  result.clean = [result.missing, result.extra, result.duplicates, result.failed].every((list) => list.length === 0);
+  return result;
+}
+
+// Problems as one line, e.g. "2 missing (A1, A2); 1 failed (A7)"
+export function describeProblems(result, { limit = 10 } = {}) {
+  const list = (barcodes) => barcodes.slice(0, limit).join(", ") + (barcodes.length > limit ? `, +${barcodes.length - limit} more` : "");
+  return ["missing", "extra", "duplicates", "failed"]
+    .filter((key) => result[key].length > 0)
+    .map((key) => `${result[key].length} ${key} (${list(result[key])})`)
+    .join("; ");
+}
+
+export function reconciliationToCsv(result) {
+  const lines = [formatCsvRow(["Barcode", "Expected", "Status", "Duplicate", "Files"])];
+  result.rows.forEach((row) => lines.push(formatCsvRow([row.barcode, row.expected ? "yes" : "no", row.status, row.duplicate ? "yes" : "", row.files.join(" ")])));
+  return lines.join("");
+}
+
+export function formatReconciliation(batch, result, state = null) {
+  const lines = [
+    `🧾 ${batch}: ${result.received}/${result.expected} expected booklet(s) received, ${result.uploaded.length} uploaded, ${result.pending.length} pending`,
+  ];
+  if (state?.status) lines.push(`   Batch ${state.status} at ${state.at}${state.note ? ` (${state.note})` : ""}`);
+  for (const key of ["missing", "extra", "duplicates", "failed"]) {
+    if (result[key].length > 0) lines.push(`   ${key[0].toUpperCase()}${key.slice(1)} (${result[key].length}): ${result[key].join(", ")}`);
+  }
+  if (result.clean) lines.push(result.settled ? "   ✅ Matches the roster" : "   Nothing missing or failed so far");
+  return lines.join("\n");
+}
+
+// Per-batch facts the file index can't hold: booklets set aside before they reached the index under their batch
+// (duplicates, quarantined), which booklets intake sent on, whether the batch was packaged and whether it was
+// marked complete or held. Append-only JSON lines, like the file index.
+export class BatchLedger {
+  constructor(ledgerPath) {
+    this.ledgerPath = ledgerPath;
+    this.batches = new Map(); // batch -> { setAside: [{ file, barcode, outcome }], handedOff, packaged, status, at, note }
+  }
+
+  load() {
+    this.batches.clear();
+    if (!fs.existsSync(this.ledgerPath)) return this;
+
+    for (const line of fs.readFileSync(this.ledgerPath, "utf8").split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      try {
+        this.apply(JSON.parse(line));
+      } catch {
+        // Torn last line from a crash mid-write
+      }
+    }
+    return this;
+  }
+
+  apply({ batch, ...fields }) {
+    if (!batch) return;
+    const state = this.get(batch);
+    if (fields.outcome) {
+      state.setAside.push({ file: fields.file, barcode: fields.barcode, outcome: fields.outcome });
+    } else if (fields.handedOff) {
+      state.handedOff = fields.handedOff;
+    } else if (fields.packaged) {
+      state.packaged = fields.packaged;
+    } else if (fields.status) {
+      Object.assign(state, { status: fields.status, at: fields.at, note: fields.note });
+    }
+    this.batches.set(batch, state);
+  }
+
+  record(batch, fields) {
+    const line = { batch, ...fields, at: new Date().toISOString() };
+    fs.appendFileSync(this.ledgerPath, `${JSON.stringify(line)}\n`);
+    this.apply(line);
+  }
+
+  // A booklet of this batch that left the pipeline at intake or the barcode check; `barcode` if it was decoded
+  setAside(batch, { file, barcode = null, outcome }) {
+    this.record(batch, { file, barcode, outcome });
+  }
+
+  // The booklets intake sent on to the next stage, once it's done with the batch folder
+  handOff(batch, files) {
+    this.record(batch, { handedOff: files });
+  }
+
+  // Where the batch's verified zip was written
+  markPackaged(batch, zipPath) {
+    this.record(batch, { packaged: zipPath });
+  }
+
+  // "complete" or "held", with an optional note (e.g. who accepted it and why)
+  mark(batch, status, note = undefined) {
+    this.record(batch, { status, note });
+  }
+
+  get(batch) {
+    return this.batches.get(batch) || { setAside: [], handedOff: null, packaged: null, status: null, at: null, note: undefined };
+  }
+}
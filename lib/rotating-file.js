@@ -0,0 +1,143 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { pipeline } from "stream/promises";
+
+export const DEFAULT_ROTATION = { maxSizeMB: 10, daily: true, maxFiles: 30 };
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Rotated copies of `filePath`, oldest first: scan-log.2026-10-19.csv.gz, scan-log.2026-10-19.1.csv.gz, ...
+// A copy that is still being compressed is listed as its plain file.
+export function archivedFiles(filePath) {
+  return listArchives(filePath).map((archive) => archive.path);
+}
+
+// { path, day, index } for each rotated copy, oldest first
+function listArchives(filePath) {
+  const dir = path.dirname(filePath);
+  const { name, ext } = path.parse(filePath);
+  const pattern = new RegExp(`^${escapeRegExp(name)}\\.(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?${escapeRegExp(ext)}(\\.gz)?$`);
+
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+
+  const archives = new Map(); // plain name -> archive
+  for (const file of names) {
+    const match = file.match(pattern);
+    if (!match) continue;
+    const plain = match[3] ? file.slice(0, -3) : file;
+    // Prefer the finished .gz when its plain copy hasn't been removed yet
+    if (archives.has(plain) && !match[3]) continue;
+    archives.set(plain, { path: path.join(dir, file), day: match[1], index: Number(match[2] || 0) });
+  }
+
+  return [...archives.values()].sort((a, b) => a.day.localeCompare(b.day) || a.index - b.index);
+}
+
+// Contents of a log file or one of its archives
+export function readLogFile(filePath) {
+  const content = fs.readFileSync(filePath);
+  return (filePath.endsWith(".gz") ? zlib.gunzipSync(content) : content).toString("utf8");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Append-only file that moves itself aside when it passes `maxSizeMB` or a new (UTC) day starts,
+// gzips the old copy and keeps the newest `maxFiles` copies. `header` starts every new file (CSV column names).
+export class RotatingFile {
+  constructor(filePath, { header = "", onError = () => {}, ...options } = {}) {
+    this.filePath = filePath;
+    this.header = header;
+    this.onError = onError;
+    this.compressing = new Set(); // Background gzips of rotated copies, see flush()
+    this.configure(options);
+
+    const stats = fs.statSync(filePath, { throwIfNoEntry: false });
+    this.size = stats?.size ?? 0;
+    this.day = stats ? stats.mtime.toISOString().slice(0, 10) : today();
+
+    // Copies left uncompressed by an earlier run that stopped mid-rotation
+    archivedFiles(filePath)
+      .filter((file) => !file.endsWith(".gz"))
+      .forEach((file) => this.compress(file));
+  }
+
+  configure({ maxSizeMB = this.maxSizeMB ?? DEFAULT_ROTATION.maxSizeMB, daily = this.daily ?? DEFAULT_ROTATION.daily, maxFiles = this.maxFiles ?? DEFAULT_ROTATION.maxFiles } = {}) {
+    this.maxSizeMB = maxSizeMB;
+    this.daily = daily;
+    this.maxFiles = maxFiles;
+  }
+
+  append(text) {
+    const bytes = Buffer.byteLength(text);
+    const tooBig = this.maxSizeMB && this.size > 0 && this.size + bytes > this.maxSizeMB * 1024 * 1024;
+    if (tooBig || (this.daily && this.day !== today())) {
+      this.rotate();
+    }
+
+    if (this.header && !fs.existsSync(this.filePath)) {
+      fs.appendFileSync(this.filePath, this.header);
+      this.size = Buffer.byteLength(this.header);
+    }
+    fs.appendFileSync(this.filePath, text);
+    this.size += bytes;
+    this.day = today();
+  }
+
+  // Move the current file aside under the day it was written and compress it in the background
+  rotate() {
+    if (!fs.existsSync(this.filePath)) {
+      this.size = 0;
+      return;
+    }
+
+    // Number copies of the same day upwards (never reusing a pruned one) so they stay in order
+    const { dir, name, ext } = path.parse(this.filePath);
+    const last = listArchives(this.filePath)
+      .filter((archive) => archive.day === this.day)
+      .pop();
+    const index = last ? last.index + 1 : 0;
+    const target = path.join(dir, `${name}.${this.day}${index ? `.${index}` : ""}${ext}`);
+
+    fs.renameSync(this.filePath, target);
+    this.size = 0;
+    this.compress(target);
+  }
+
+  compress(file) {
+    const partial = `${file}.gz.partial`;
+    const job = (async () => {
+      try {
+        await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(partial));
+        fs.renameSync(partial, `${file}.gz`);
+        fs.unlinkSync(file);
+        this.prune();
+      } catch (error) {
+        fs.rmSync(partial, { force: true });
+        this.onError(error);
+      }
+    })();
+    this.compressing.add(job);
+    job.finally(() => this.compressing.delete(job));
+    return job;
+  }
+
+  // Wait for rotated copies still being compressed, e.g. before exiting. Lines themselves are written synchronously.
+  async flush() {
+    await Promise.all(this.compressing);
+  }
+
+  // Delete the oldest compressed copies beyond maxFiles (plain ones are still being compressed)
+  prune() {
+    if (!this.maxFiles) return;
+    const archives = archivedFiles(this.filePath).filter((file) => file.endsWith(".gz"));
+    archives.slice(0, Math.max(0, archives.length - this.maxFiles)).forEach((file) => fs.rmSync(file, { force: true }));
+  }
+}
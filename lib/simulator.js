@@ -0,0 +1,271 @@
+import http from "node:http";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+
+// Local stand-in for the OCR worker and the upload API, for trying the pipeline on a PC without touching either.
+// Rates are fractions between 0 and 1:
+// failureRate: requests answered with 503 (the pipeline retries and eventually fails these like real outages)
+// mismatchRate: OCR answers whose barcode doesn't match the file name
+// rejectRate: files the upload API lists in failedFiles instead of savedFiles
+// dropRate: chunks of a chunked upload cut off halfway, with the connection dropped (the client has to resume)
+// latencyMs: delay before each answer, a number or [min, max]
+// seed: makes the random choices repeatable between runs
+export const DEFAULT_SIMULATION = {
+  host: "127.0.0.1",
+  port: 0,
+  failureRate: 0,
+  mismatchRate: 0,
+  rejectRate: 0,
+  dropRate: 0,
+  latencyMs: [50, 300],
+  seed: null,
+};
+
+const RATES = ["failureRate", "mismatchRate", "rejectRate", "dropRate"];
+
+// Small seeded PRNG (mulberry32), so a seeded run injects the same faults every time
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Validate CONFIG.simulation; throws on bad settings
+export function simulationOptions(options = {}) {
+  const simulation = { ...DEFAULT_SIMULATION, ...options };
+
+  for (const rate of RATES) {
+    if (!(typeof simulation[rate] === "number" && simulation[rate] >= 0 && simulation[rate] <= 1)) {
+      throw new Error(`Invalid simulation.${rate} "${simulation[rate]}", expected a number between 0 and 1`);
+    }
+  }
+  const latency = [simulation.latencyMs].flat();
+  if (latency.length > 2 || !latency.every((ms) => Number.isFinite(ms) && ms >= 0)) {
+    throw new Error(`Invalid simulation.latencyMs "${JSON.stringify(simulation.latencyMs)}", expected milliseconds or [min, max]`);
+  }
+  if (!(Number.isInteger(simulation.port) && simulation.port >= 0 && simulation.port < 65536)) {
+    throw new Error(`Invalid simulation.port "${simulation.port}"`);
+  }
+  return simulation;
+}
+
+// A barcode that won't match the file name: the last character changed, as a misread would
+function misread(barcode) {
+  const last = barcode.slice(-1);
+  return `${barcode.slice(0, -1)}${/\d/.test(last) ? (Number(last) + 1) % 10 : last === "X" ? "Y" : "X"}`;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Serves POST /ocr ({ data: { barcode } }, the barcode being the file name unless a mismatch is injected),
+// POST /upload ({ status, message, data: { savedFiles, failedFiles } }, the answer-code-bulk contract),
+// the chunked upload protocol under /uploads (see ChunkedUploadAdapter) ending in the same answer,
+// and GET /stats with what was answered so far. `log` gets one line per injected fault.
+export class ApiSimulator {
+  constructor(options = {}, { log = () => {} } = {}) {
+    Object.assign(this, simulationOptions(options));
+    this.random = this.seed === null || this.seed === undefined ? Math.random : seededRandom(Number(this.seed));
+    this.log = log;
+    this.server = null;
+    this.url = null;
+    this.sessions = new Map(); // chunked upload id -> { id, key, name, size, offset }; only the offset of the content is kept
+    this.stats = {
+      ocr: { requests: 0, failed: 0, mismatched: 0 },
+      upload: { requests: 0, failed: 0, files: 0, saved: 0, rejected: 0 },
+      uploads: { requests: 0, failed: 0, sessions: 0, chunks: 0, dropped: 0 },
+    };
+  }
+
+  get ocrUrl() {
+    return `${this.url}/ocr`;
+  }
+
+  get uploadUrl() {
+    return `${this.url}/upload`;
+  }
+
+  get chunkedUploadUrl() {
+    return `${this.url}/uploads`;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => sendJson(res, 500, { status: false, message: error.message }));
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off("error", reject);
+        this.url = `http://${this.host}:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  chance(rate) {
+    return rate > 0 && this.random() < rate;
+  }
+
+  latency() {
+    const [min, max = min] = [this.latencyMs].flat();
+    return min + Math.round(this.random() * (max - min));
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method === "GET" && pathname === "/stats") {
+      sendJson(res, 200, this.stats);
+      return;
+    }
+
+    const route = pathname.split("/")[1];
+    const known = (route === "ocr" || route === "upload") && req.method === "POST" && pathname === `/${route}`;
+    if (!known && route !== "uploads") {
+      sendJson(res, 404, { status: false, message: "Not found" });
+      return;
+    }
+
+    const body = await readBody(req);
+    await new Promise((resolve) => setTimeout(resolve, this.latency()));
+    const stats = this.stats[route];
+    stats.requests++;
+
+    if (this.chance(this.failureRate)) {
+      stats.failed++;
+      this.log(`🧪 Simulated ${route} outage (503)`);
+      sendJson(res, 503, { status: false, message: "Simulated outage" });
+      return;
+    }
+
+    if (route === "uploads") {
+      this.handleChunked(req, res, pathname.split("/")[2], body);
+      return;
+    }
+
+    const form = await new Response(body, { headers: { "Content-Type": req.headers["content-type"] || "" } }).formData();
+    if (route === "ocr") {
+      const file = form.get("file");
+      const barcode = path.parse(file?.name || "").name;
+      if (barcode && this.chance(this.mismatchRate)) {
+        stats.mismatched++;
+        this.log(`🧪 Simulated misread of ${file.name}`);
+        sendJson(res, 200, { data: { barcode: misread(barcode) } });
+        return;
+      }
+      sendJson(res, 200, { data: { barcode: barcode || null } });
+      return;
+    }
+
+    const names = [];
+    for (const [, file] of form) {
+      if (typeof file !== "string") names.push(file.name);
+    }
+    sendJson(res, 200, this.answer(names));
+  }
+
+  // The bulk upload answer for these files, with rejections injected at rejectRate
+  answer(names, incomplete = []) {
+    const stats = this.stats.upload;
+    const savedFiles = [];
+    const failedFiles = [];
+    for (const name of names) {
+      stats.files++;
+      if (incomplete.includes(name)) {
+        stats.rejected++;
+        failedFiles.push(`${path.parse(name).name} - Upload incomplete`);
+      } else if (this.chance(this.rejectRate)) {
+        stats.rejected++;
+        this.log(`🧪 Simulated rejection of ${name}`);
+        failedFiles.push(`${path.parse(name).name} - Simulated rejection`);
+      } else {
+        stats.saved++;
+        savedFiles.push(name);
+      }
+    }
+    return { status: true, message: `${savedFiles.length} file(s) saved`, data: { savedFiles, failedFiles } };
+  }
+
+  handleChunked(req, res, id, body) {
+    const stats = this.stats.uploads;
+
+    // Start (or pick up) an upload session; the same key gets the same session unless the size changed
+    if (req.method === "POST" && !id) {
+      const { name, size } = JSON.parse(body.toString("utf8"));
+      const key = req.headers["idempotency-key"] || randomUUID();
+      let session = [...this.sessions.values()].find((entry) => entry.key === key);
+      if (session && session.size !== size) {
+        this.sessions.delete(session.id);
+        session = null;
+      }
+      if (!session) {
+        session = { id: randomUUID(), key, name, size, offset: 0 };
+        this.sessions.set(session.id, session);
+        stats.sessions++;
+      }
+      sendJson(res, 201, { id: session.id, offset: session.offset });
+      return;
+    }
+
+    if (req.method === "POST" && id === "complete") {
+      const sessions = JSON.parse(body.toString("utf8")).uploads.map((uploadId) => this.sessions.get(uploadId)).filter(Boolean);
+      const incomplete = sessions.filter((session) => session.offset < session.size).map((session) => session.name);
+      sendJson(res, 200, this.answer(sessions.map((session) => session.name), incomplete));
+      return;
+    }
+
+    const session = this.sessions.get(id);
+    if (!session) {
+      sendJson(res, 404, { status: false, message: "Unknown upload session" });
+      return;
+    }
+
+    if (req.method === "HEAD") {
+      res.writeHead(200, { "Upload-Offset": String(session.offset) });
+      res.end();
+      return;
+    }
+
+    if (req.method === "PATCH") {
+      if (Number(req.headers["upload-offset"]) !== session.offset) {
+        res.writeHead(409, { "Upload-Offset": String(session.offset) });
+        res.end();
+        return;
+      }
+
+      stats.chunks++;
+      if (this.chance(this.dropRate)) {
+        // Keep the first half, as if the connection broke while the chunk was coming in
+        session.offset += Math.floor(body.length / 2);
+        stats.dropped++;
+        this.log(`🧪 Simulated dropped connection during ${session.name} at ${session.offset}/${session.size}`);
+        req.socket.destroy();
+        return;
+      }
+      session.offset += body.length;
+      res.writeHead(204, { "Upload-Offset": String(session.offset) });
+      res.end();
+      return;
+    }
+
+    sendJson(res, 405, { status: false, message: "Method not allowed" });
+  }
+}
@@ -0,0 +1,389 @@
+import path from "path";
+import { createHash } from "crypto";
+import { getPath } from "./config.js";
+import { httpError, classifyError, TRANSIENT_CATEGORIES } from "./failures.js";
+import { fetchWithDeadline, DEFAULT_REQUEST_TIMEOUT_MS } from "./connectivity.js";
+
+export const DEFAULT_UPLOAD_URL = "https://devpahsu.paperevaluation.com/api/v1/assessment/answer-code-bulk";
+
+// Where uploads go when CONFIG.upload.destinations doesn't say otherwise: the answer-code-bulk API,
+// which takes the PDFs as multipart "files" and answers { status, message, data: { savedFiles, failedFiles } }
+// with failedFiles entries written as "<name without .pdf> - <error>".
+export const DEFAULT_DESTINATION = {
+  adapter: "multipart",
+  url: DEFAULT_UPLOAD_URL,
+  method: "POST",
+  fieldName: "files",
+  timeoutMs: DEFAULT_REQUEST_TIMEOUT_MS, // Deadline per request (per chunk with the chunked adapter)
+  chunkSizeMB: 5, // Chunked adapter only
+  headers: {},
+  auth: { type: "none" },
+  response: {
+    saved: "data.savedFiles", // List of saved file names, or objects carrying one in `nameField`
+    failed: "data.failedFiles", // List of "<name><separator><reason>" strings, or objects with `nameField` and `reasonField`
+    nameField: "name",
+    reasonField: "reason",
+    separator: " - ",
+    status: "status",
+    message: "message",
+  },
+};
+
+export const AUTH_TYPES = ["none", "bearer", "api-key", "basic"];
+
+// Refresh a fetched token this long before it expires
+const TOKEN_REFRESH_MARGIN_MS = 30000;
+
+// Upload progress is reported every this many bytes
+const PROGRESS_STEP_BYTES = 64 * 1024;
+
+// Chunks in a row that may get lost before a chunked upload gives up; the file's next retry resumes from the server's offset
+const MAX_LOST_CHUNKS = 3;
+
+// Config values may point at the environment instead of holding secrets: "env:UPLOAD_TOKEN"
+function resolveSecret(value, env, label) {
+  if (typeof value !== "string" || !value.startsWith("env:")) return value;
+
+  const name = value.slice(4);
+  if (!env[name]) {
+    throw new Error(`${label} refers to environment variable ${name}, which is not set`);
+  }
+  return env[name];
+}
+
+// Bearer token from an OAuth2 token endpoint (client credentials, or a refresh token when one is configured).
+// The token is fetched on first use, refreshed shortly before it expires, and again after a 401.
+class TokenSource {
+  constructor({ tokenUrl, clientId, clientSecret, refreshToken, scope, audience }, { fetch }) {
+    this.tokenUrl = tokenUrl;
+    this.form = { client_id: clientId, client_secret: clientSecret, scope, audience };
+    this.refreshToken = refreshToken;
+    this.fetch = fetch;
+    this.token = null;
+    this.expiresAt = 0;
+    this.pending = null;
+  }
+
+  async get() {
+    if (this.token && Date.now() < this.expiresAt - TOKEN_REFRESH_MARGIN_MS) return this.token;
+    // Uploads running side by side share one token request
+    this.pending ??= this.request().finally(() => {
+      this.pending = null;
+    });
+    return this.pending;
+  }
+
+  async request() {
+    const grant = this.refreshToken ? { grant_type: "refresh_token", refresh_token: this.refreshToken } : { grant_type: "client_credentials" };
+    const form = Object.entries({ ...grant, ...this.form }).filter(([, value]) => value !== undefined && value !== null);
+    const response = await fetchWithDeadline(
+      this.tokenUrl,
+      { method: "POST", headers: { Accept: "application/json" }, body: new URLSearchParams(form) },
+      { fetch: this.fetch },
+    );
+    if (!response.ok) {
+      throw httpError(`Token request to ${this.tokenUrl} failed with status ${response.status}`, response.status);
+    }
+
+    const data = await response.json();
+    if (!data?.access_token) {
+      throw new Error(`Token response from ${this.tokenUrl} has no access_token`);
+    }
+    this.token = data.access_token;
+    this.expiresAt = Date.now() + (Number(data.expires_in) || 3600) * 1000;
+    if (data.refresh_token) this.refreshToken = data.refresh_token;
+    return this.token;
+  }
+
+  invalidate() {
+    this.token = null;
+  }
+}
+
+// Headers for one destination's `auth` setting: { type: "bearer", token } or { type: "bearer", tokenUrl, clientId, clientSecret, ... },
+// { type: "api-key", key, header = "X-API-Key" }, { type: "basic", username, password }, or { type: "none" }.
+// Returns { headers(), invalidate(), refreshable }; secrets can be given as "env:NAME".
+export function createAuth(auth = { type: "none" }, { env = process.env, fetch = globalThis.fetch } = {}) {
+  const type = auth.type || "none";
+  const secret = (key) => resolveSecret(auth[key], env, `auth.${key}`);
+
+  switch (type) {
+    case "none":
+      return { headers: async () => ({}), invalidate: () => {}, refreshable: false };
+
+    case "bearer": {
+      if (auth.tokenUrl) {
+        const source = new TokenSource({ ...auth, clientSecret: secret("clientSecret"), refreshToken: secret("refreshToken") }, { fetch });
+        return { headers: async () => ({ Authorization: `Bearer ${await source.get()}` }), invalidate: () => source.invalidate(), refreshable: true };
+      }
+      const token = secret("token");
+      if (!token) throw new Error("auth.type bearer needs a token or a tokenUrl");
+      return { headers: async () => ({ Authorization: `Bearer ${token}` }), invalidate: () => {}, refreshable: false };
+    }
+
+    case "api-key": {
+      const key = secret("key");
+      if (!key) throw new Error("auth.type api-key needs a key");
+      return { headers: async () => ({ [auth.header || "X-API-Key"]: key }), invalidate: () => {}, refreshable: false };
+    }
+
+    case "basic": {
+      const password = secret("password");
+      if (!auth.username) throw new Error("auth.type basic needs a username");
+      const credentials = Buffer.from(`${auth.username}:${password ?? ""}`).toString("base64");
+      return { headers: async () => ({ Authorization: `Basic ${credentials}` }), invalidate: () => {}, refreshable: false };
+    }
+
+    default:
+      throw new Error(`Invalid auth.type "${type}", expected one of: ${AUTH_TYPES.join(", ")}`);
+  }
+}
+
+// What every adapter shares: headers and auth, a deadline on each request (timeoutMs) and reading the answer
+// through the destination's response mapping. Every adapter offers the same three calls:
+// send(files, { idempotencyKey, signal, onProgress }) with files as [{ name, buffer, key }], resolving to the fetch Response
+// that carries the API's answer (`key`, optional, names the booklet across tries, e.g. its checksum at intake); `onProgress({ files, sent, total })` follows the bytes going out;
+// parse(json) -> { status, message, saved: [names], failed: [{ name, reason }] }, throwing on an answer it can't read;
+// outcome(fileName, parsed) -> { saved, rejected, reason }.
+class UploadAdapter {
+  constructor(destination, { fetch = globalThis.fetch, tokenFetch = globalThis.fetch, env = process.env } = {}) {
+    this.name = destination.name;
+    this.url = destination.url;
+    this.method = destination.method;
+    this.timeoutMs = destination.timeoutMs;
+    this.headers = Object.fromEntries(Object.entries(destination.headers || {}).map(([name, value]) => [name, resolveSecret(value, env, `headers.${name}`)]));
+    this.response = destination.response;
+    this.auth = createAuth(destination.auth, { env, fetch: tokenFetch });
+    this.fetch = fetch;
+    this.resumable = false; // Whether sending the same files again picks up where the last try stopped
+  }
+
+  // One request with auth headers and a deadline. `init()` builds the request afresh for each try, since a
+  // streamed body can only be sent once.
+  async request(url, init, { signal } = {}) {
+    const attempt = async () => {
+      const { headers, ...rest } = init();
+      return fetchWithDeadline(url, { ...rest, headers: { ...this.headers, ...(await this.auth.headers()), ...headers } }, { timeoutMs: this.timeoutMs, signal, fetch: this.fetch });
+    };
+
+    const response = await attempt();
+    if (response.status === 401 && this.auth.refreshable) {
+      // The token may have been revoked or expired early: fetch a new one and try once more
+      this.auth.invalidate();
+      return attempt();
+    }
+    return response;
+  }
+
+  parse(json) {
+    const { saved, failed, nameField, reasonField, separator, status, message } = this.response;
+    const savedList = getPath(json, saved);
+    const failedList = getPath(json, failed);
+    if (!Array.isArray(savedList) && !Array.isArray(failedList)) {
+      throw new Error("Invalid response from upload API");
+    }
+
+    return {
+      status: getPath(json, status),
+      message: getPath(json, message),
+      saved: (savedList || []).map((entry) => (typeof entry === "string" ? entry : entry?.[nameField])),
+      failed: (failedList || []).map((entry) => {
+        if (typeof entry !== "string") return { name: entry?.[nameField], reason: entry?.[reasonField] };
+        const [name, ...reason] = entry.split(separator);
+        return { name: name.trim(), reason: reason.join(separator) };
+      }),
+      raw: json,
+    };
+  }
+
+  outcome(fileName, parsed) {
+    // APIs list files with or without the .pdf extension
+    const names = [fileName, path.parse(fileName).name];
+    if (parsed.saved.some((name) => names.includes(name))) {
+      return { saved: true };
+    }
+
+    const failed = parsed.failed.find((entry) => names.includes(entry.name));
+    if (failed) {
+      return { saved: false, rejected: true, reason: failed.reason };
+    }
+    return { saved: false, rejected: false, reason: "File not found in response lists" };
+  }
+}
+
+// Body that hands `buffer` to fetch in pieces, reporting how much has gone out
+function progressBody(buffer, onProgress) {
+  let sent = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (sent >= buffer.length) {
+        controller.close();
+        return;
+      }
+      const piece = buffer.subarray(sent, sent + PROGRESS_STEP_BYTES);
+      sent += piece.length;
+      controller.enqueue(piece);
+      onProgress(sent, buffer.length);
+    },
+  });
+}
+
+// Uploads PDFs as one multipart request and reads the per-file outcome out of the JSON answer.
+// A failed request has to be sent again in full; see ChunkedUploadAdapter for large files on shaky connections.
+export class MultipartUploadAdapter extends UploadAdapter {
+  constructor(destination, options) {
+    super(destination, options);
+    this.fieldName = destination.fieldName;
+  }
+
+  async send(files, { idempotencyKey, signal, onProgress } = {}) {
+    const formData = new FormData();
+    files.forEach(({ name, buffer }) => formData.append(this.fieldName, new Blob([buffer], { type: "application/pdf" }), name));
+
+    // Encode once: the length is known up front and the bytes can be counted as they go out
+    const encoded = new Response(formData);
+    const contentType = encoded.headers.get("Content-Type");
+    const body = Buffer.from(await encoded.arrayBuffer());
+    const names = files.map((file) => file.name);
+
+    return this.request(
+      this.url,
+      () => ({
+        method: this.method,
+        body: onProgress ? progressBody(body, (sent, total) => onProgress({ files: names, sent, total })) : body,
+        duplex: "half",
+        headers: { "Content-Type": contentType, "Content-Length": String(body.length), ...(idempotencyKey && { "Idempotency-Key": idempotencyKey }) },
+      }),
+      { signal },
+    );
+  }
+}
+
+// Resumable uploads in chunks, with the server keeping track of how much of each file it has:
+// POST <url> { name, size } with Idempotency-Key: <the file's key, else the sha256 of its bytes> -> { id, offset } (the
+//   same booklet gets its existing session back, so an interrupted upload carries on where it stopped, even after a
+//   restart that compressed it again; a session of another size starts over)
+// PATCH <url>/<id> with Upload-Offset: <offset> and a chunk as application/offset+octet-stream -> Upload-Offset: <new offset>
+//   (409 when the offset isn't the server's)
+// HEAD <url>/<id> -> Upload-Offset: <offset>, asked after a chunk was lost on the way
+// POST <url>/complete { uploads: [ids] } with the batch's Idempotency-Key -> the usual answer, read with the response mapping
+// Each request has its own deadline, so a slow connection only has to get one chunk through in time.
+export class ChunkedUploadAdapter extends UploadAdapter {
+  constructor(destination, options) {
+    super(destination, options);
+    this.chunkSize = Math.max(1, Math.round(destination.chunkSizeMB * 1024 * 1024));
+    this.resumable = true;
+  }
+
+  async send(files, { idempotencyKey, signal, onProgress } = {}) {
+    const ids = [];
+    for (const file of files) {
+      ids.push(await this.sendFile(file, { signal, onProgress }));
+    }
+
+    return this.request(
+      `${this.url}/complete`,
+      () => ({
+        method: "POST",
+        body: JSON.stringify({ uploads: ids }),
+        headers: { "Content-Type": "application/json", ...(idempotencyKey && { "Idempotency-Key": idempotencyKey }) },
+      }),
+      { signal },
+    );
+  }
+
+  // Upload one file's missing chunks; resolves to its session id
+  async sendFile({ name, buffer, key }, { signal, onProgress }) {
+    const created = await this.request(
+      this.url,
+      () => ({
+        method: "POST",
+        body: JSON.stringify({ name, size: buffer.length }),
+        headers: { "Content-Type": "application/json", "Idempotency-Key": key ?? createHash("sha256").update(buffer).digest("hex") },
+      }),
+      { signal },
+    );
+    if (!created.ok) {
+      throw httpError(`Starting the upload of ${name} failed with status ${created.status}`, created.status);
+    }
+    const { id, offset: start = 0 } = await created.json();
+    if (!id) {
+      throw new Error(`Upload session for ${name} has no id`);
+    }
+
+    const sessionUrl = `${this.url}/${encodeURIComponent(id)}`;
+    let offset = Number(start);
+    let lost = 0;
+    onProgress?.({ files: [name], sent: offset, total: buffer.length });
+
+    while (offset < buffer.length) {
+      try {
+        const chunk = buffer.subarray(offset, offset + this.chunkSize);
+        const response = await this.request(
+          sessionUrl,
+          () => ({
+            method: "PATCH",
+            body: chunk,
+            headers: { "Content-Type": "application/offset+octet-stream", "Upload-Offset": String(offset) },
+          }),
+          { signal },
+        );
+        if (response.status === 409) {
+          offset = await this.serverOffset(sessionUrl, { signal });
+          continue;
+        }
+        if (!response.ok) {
+          throw httpError(`Chunk of ${name} at ${offset} failed with status ${response.status}`, response.status);
+        }
+        offset = Number(response.headers.get("Upload-Offset") ?? offset + chunk.length);
+        lost = 0;
+      } catch (error) {
+        // A chunk lost on the way: ask the server how far it got and carry on from there
+        if (signal?.aborted || !TRANSIENT_CATEGORIES.includes(classifyError(error)) || ++lost > MAX_LOST_CHUNKS) throw error;
+        offset = await this.serverOffset(sessionUrl, { signal });
+      }
+      onProgress?.({ files: [name], sent: offset, total: buffer.length });
+    }
+    return id;
+  }
+
+  async serverOffset(sessionUrl, { signal }) {
+    const response = await this.request(sessionUrl, () => ({ method: "HEAD" }), { signal });
+    const offset = Number(response.headers.get("Upload-Offset"));
+    if (!response.ok || !Number.isFinite(offset)) {
+      throw httpError(`Could not get the upload offset from ${sessionUrl} (status ${response.status})`, response.status);
+    }
+    return offset;
+  }
+}
+
+// Adapters by the name used in a destination's `adapter` setting
+export const UPLOAD_ADAPTERS = {
+  multipart: (destination, options) => new MultipartUploadAdapter(destination, options),
+  chunked: (destination, options) => new ChunkedUploadAdapter(destination, options),
+};
+
+// Build the adapter for the destination named `target` in CONFIG.upload.destinations. "default" is always there
+// (the answer-code-bulk API); every destination inherits the default's settings, response mapping included.
+// `url` overrides the destination's URL (UPLOAD_API_URL). Throws on unknown names and bad auth settings.
+export function createUploadAdapter({ destinations = {}, target = "default", url = null } = {}, options = {}) {
+  const all = { default: {}, ...destinations };
+  if (!all[target]) {
+    throw new Error(`Unknown upload target "${target}", expected one of: ${Object.keys(all).join(", ")}`);
+  }
+
+  const own = all[target];
+  const destination = {
+    ...DEFAULT_DESTINATION,
+    ...own,
+    name: target,
+    url: url || own.url || DEFAULT_DESTINATION.url,
+    response: { ...DEFAULT_DESTINATION.response, ...own.response },
+  };
+
+  const factory = UPLOAD_ADAPTERS[destination.adapter];
+  if (!factory) {
+    throw new Error(`Unknown upload adapter "${destination.adapter}" for target ${target}, expected one of: ${Object.keys(UPLOAD_ADAPTERS).join(", ")}`);
+  }
+  return factory(destination, options);
+}
@@ -0,0 +1,128 @@
+import fs from "fs";
+import path from "path";
+
+// Lifecycle states a file can be in while it moves through the upload stage
+export const FILE_STATES = {
+  QUEUED: "queued",
+  COMPRESSING: "compressing",
+  UPLOADING: "uploading",
+  UPLOADED: "uploaded",
+  FAILED: "failed",
+};
+
+// Durable on-disk journal of per-file upload state.
+// Every transition is appended as one JSON line and fsync'd before we act on it,
+// so after a crash or reboot we can tell which files were in flight and which
+// were already accepted by the API (and must not be POSTed again). Uploading and uploaded records carry the
+// file's SHA-256, see isUploaded().
+export class UploadJournal {
+  constructor(journalPath) {
+    this.journalPath = journalPath;
+    this.entries = new Map(); // fileName -> latest record
+    this.fd = null;
+  }
+
+  // Replay the journal from disk and compact it to one line per file.
+  // Pass { compact: false } to only read it, e.g. from a CLI command while a watcher owns the file.
+  load({ compact = true } = {}) {
+    this.entries.clear();
+
+    if (fs.existsSync(this.journalPath)) {
+      const lines = fs.readFileSync(this.journalPath, "utf8").split(/\r?\n/);
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const record = JSON.parse(line);
+          if (record && record.file && record.state) {
+            this.entries.set(record.file, record);
+          }
+        } catch {
+          // A torn last line from a crash mid-write; everything before it is intact
+        }
+      }
+    }
+
+    if (compact) {
+      this.compact();
+    }
+    return this;
+  }
+
+  // Rewrite the journal with only the latest record per file (atomic via rename)
+  compact() {
+    this.close();
+
+    const tempPath = `${this.journalPath}.tmp`;
+    const content = Array.from(this.entries.values())
+      .map((record) => JSON.stringify(record))
+      .join("\n");
+
+    const fd = fs.openSync(tempPath, "w");
+    try {
+      fs.writeSync(fd, content ? `${content}\n` : "");
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, this.journalPath);
+
+    this.fd = fs.openSync(this.journalPath, "a");
+  }
+
+  // Record a state transition for a file
+  record(filePath, state, details = {}) {
+    if (!Object.values(FILE_STATES).includes(state)) {
+      throw new Error(`Unknown journal state: ${state}`);
+    }
+
+    const fileName = path.basename(filePath);
+    const previous = this.entries.get(fileName);
+    const record = {
+      file: fileName,
+      state,
+      path: filePath,
+      timestamp: new Date().toISOString(),
+      attempts: (previous?.attempts || 0) + (state === FILE_STATES.UPLOADING ? 1 : 0),
+      ...details,
+    };
+
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.journalPath, "a");
+    }
+    fs.writeSync(this.fd, `${JSON.stringify(record)}\n`);
+    fs.fsyncSync(this.fd);
+
+    this.entries.set(fileName, record);
+    return record;
+  }
+
+  // Latest record for a file, or undefined if we have never seen it
+  get(filePath) {
+    return this.entries.get(path.basename(filePath));
+  }
+
+  // Latest state for a file, or null if we have never seen it
+  getState(filePath) {
+    return this.get(filePath)?.state || null;
+  }
+
+  // Whether the API already accepted this content under this file name. Entries are kept by name, so a
+  // different file arriving later under the same name (a rescanned booklet) doesn't count; neither does an
+  // entry written before checksums were recorded.
+  isUploaded(filePath, sha256) {
+    const record = this.get(filePath);
+    return record?.state === FILE_STATES.UPLOADED && Boolean(record.sha256) && record.sha256 === sha256;
+  }
+
+  // All latest records currently in one of the given states
+  entriesInState(...states) {
+    return Array.from(this.entries.values()).filter((record) => states.includes(record.state));
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
@@ -0,0 +1,81 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { compileMatching, matchBarcode, sameBooklet, barcodeFileName, CHECK_DIGITS } from "../lib/barcode-match.js";
+
+describe("matchBarcode", () => {
+  it("passes an exact match and fails anything else by default", () => {
+    assert.deepEqual(matchBarcode("12345.pdf", "12345"), { matched: true, rule: "exact", expected: "12345", barcode: "12345" });
+    const decision = matchBarcode("12345.pdf", "012345");
+    assert.equal(decision.matched, false);
+    assert.equal(decision.reason, "Expected: 12345, Got: 012345");
+  });
+
+  it("fails when no barcode was found", () => {
+    assert.deepEqual(matchBarcode("12345.pdf", ""), { matched: false, rule: null, expected: "12345", barcode: null, reason: "No barcode found" });
+  });
+
+  it("applies the configured normalizations and names them", () => {
+    const matching = compileMatching({ stripLeadingZeros: true, ignoreCase: true, ignoreSeparators: true });
+    assert.deepEqual(matchBarcode("AB-0012.pdf", "ab0012", matching), { matched: true, rule: "normalized(separators,case)", expected: "AB-0012", barcode: "ab0012" });
+    assert.equal(matchBarcode("0012.pdf", "12", matching).rule, "normalized(leading-zeros)");
+  });
+
+  it("takes the booklet number out of the file name with fileNamePattern", () => {
+    const matching = compileMatching({ fileNamePattern: "^CA-5_(?<barcode>\\d+)_scan$" });
+    assert.equal(matchBarcode("CA-5_4711_scan.pdf", "4711", matching).rule, "file-name-pattern");
+    assert.equal(matchBarcode("other.pdf", "4711", matching).rule, "file-name-pattern");
+    assert.equal(matchBarcode("other.pdf", "4711", matching).matched, false);
+  });
+
+  it("validates and then ignores a check digit", () => {
+    const matching = compileMatching({ checkDigit: "luhn" });
+    assert.equal(CHECK_DIGITS.luhn("7992739871"), "3");
+    assert.equal(matchBarcode("7992739871.pdf", "79927398713", matching).rule, "check-digit:luhn");
+    const misread = matchBarcode("7992739871.pdf", "79927398714", matching);
+    assert.equal(misread.matched, false);
+    assert.equal(misread.rule, "check-digit:luhn");
+  });
+
+  it("computes GS1 and mod 11 check digits", () => {
+    assert.equal(CHECK_DIGITS.gs1("400638133393"), "1");
+    assert.equal(CHECK_DIGITS.mod11("123456"), "0");
+    assert.equal(CHECK_DIGITS.mod11("6"), "X");
+  });
+});
+
+describe("compileMatching", () => {
+  it("rejects unknown check digit schemes and bad patterns", () => {
+    assert.throws(() => compileMatching({ checkDigit: "crc" }), /Invalid barcode.matching.checkDigit "crc"/);
+    assert.throws(() => compileMatching({ fileNamePattern: "(" }), /Invalid barcode.matching.fileNamePattern/);
+  });
+});
+
+describe("sameBooklet", () => {
+  const matching = compileMatching({ stripLeadingZeros: true, ignoreSeparators: true });
+
+  it("compares two decoded barcodes after normalizing both", () => {
+    assert.equal(sameBooklet({ fileName: "a.pdf", barcode: "00-123" }, { fileName: "b.pdf", barcode: "123" }, matching), true);
+    assert.equal(sameBooklet({ fileName: "a.pdf", barcode: "123" }, { fileName: "b.pdf", barcode: "124" }, matching), false);
+  });
+
+  it("compares a file name with a barcode the way the barcode check does", () => {
+    assert.equal(sameBooklet({ fileName: "000123.pdf" }, { fileName: "scan.pdf", barcode: "123" }, matching), true);
+    assert.equal(sameBooklet({ fileName: "x.pdf", barcode: "123" }, { fileName: "0123.pdf" }, matching), true);
+  });
+
+  it("compares two file names by their booklet numbers", () => {
+    assert.equal(sameBooklet({ fileName: "0123.pdf" }, { fileName: "123.pdf" }, matching), true);
+    assert.equal(sameBooklet({ fileName: "0123.pdf" }, { fileName: "123.pdf" }, compileMatching()), false);
+  });
+
+  it("drops a valid check digit before comparing barcodes", () => {
+    const luhn = compileMatching({ checkDigit: "luhn" });
+    assert.equal(sameBooklet({ fileName: "a.pdf", barcode: "79927398713" }, { fileName: "b.pdf", barcode: "7992739871" }, luhn), true);
+  });
+});
+
+describe("barcodeFileName", () => {
+  it("replaces characters that can't be in a file name", () => {
+    assert.equal(barcodeFileName("AB/12 34"), "AB_12_34.pdf");
+  });
+});
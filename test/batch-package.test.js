@@ -0,0 +1,80 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import archiver from "archiver";
+import { createHash } from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { MANIFEST_NAME, manifestEntry, buildManifest, verifyPackage } from "../lib/batch-package.js";
+
+// Zip `files` ({ name -> content }) with `manifest` the way packageBatch does
+function zip(zipPath, files, manifest) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver("zip");
+    output.on("close", resolve);
+    archive.on("error", reject);
+    archive.pipe(output);
+    for (const [name, content] of Object.entries(files)) archive.append(content, { name });
+    if (manifest) archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_NAME });
+    archive.finalize();
+  });
+}
+
+async function withBatch(test) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-package-test-"));
+  try {
+    fs.writeFileSync(path.join(dir, "A100.pdf"), "%PDF-1.4 first booklet");
+    fs.writeFileSync(path.join(dir, "A101.pdf"), "%PDF-1.4 second booklet");
+    const files = [await manifestEntry(path.join(dir, "A100.pdf"), { barcode: "A100", pages: 4 }), await manifestEntry(path.join(dir, "A101.pdf"))];
+    await test(dir, buildManifest({ batch: "CA-7", scanner: "S1", pc: "PC1", files }));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+describe("batch packages", () => {
+  it("describes each booklet in the manifest", () =>
+    withBatch(async (dir, manifest) => {
+      assert.equal(manifest.batch, "CA-7");
+      assert.equal(manifest.fileCount, 2);
+      assert.deepEqual(manifest.files[0], {
+        file: "A100.pdf",
+        fileStem: "A100",
+        barcode: "A100",
+        pages: 4,
+        size: 22,
+        sha256: createHash("sha256").update("%PDF-1.4 first booklet").digest("hex"),
+      });
+      assert.equal(manifest.files[1].barcode, null);
+    }));
+
+  it("verifies a zip that matches its manifest", () =>
+    withBatch(async (dir, manifest) => {
+      const zipPath = path.join(dir, "CA-7.zip");
+      await zip(zipPath, { "A100.pdf": fs.readFileSync(path.join(dir, "A100.pdf")), "A101.pdf": fs.readFileSync(path.join(dir, "A101.pdf")) }, manifest);
+
+      const result = await verifyPackage(zipPath);
+      assert.deepEqual(result.problems, []);
+      assert.equal(result.ok, true);
+      assert.equal(result.manifest.batch, "CA-7");
+    }));
+
+  it("reports files that are missing, changed or not listed", () =>
+    withBatch(async (dir, manifest) => {
+      const zipPath = path.join(dir, "CA-7.zip");
+      await zip(zipPath, { "A100.pdf": "%PDF-1.4 first bookleT", "A102.pdf": "%PDF-1.4 stowaway" }, manifest);
+
+      const { ok, problems } = await verifyPackage(zipPath);
+      assert.equal(ok, false);
+      assert.deepEqual(problems, ["A100.pdf checksum does not match the manifest", "A101.pdf is missing", "A102.pdf is not listed in the manifest"]);
+    }));
+
+  it("reports a zip without a manifest", () =>
+    withBatch(async (dir) => {
+      const zipPath = path.join(dir, "CA-7.zip");
+      await zip(zipPath, { "A100.pdf": fs.readFileSync(path.join(dir, "A100.pdf")) });
+
+      assert.deepEqual((await verifyPackage(zipPath)).problems, [`${MANIFEST_NAME} is missing`]);
+    }));
+});
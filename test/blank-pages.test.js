@@ -0,0 +1,38 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseInkCoverage, findBlankPages, pagesToKeep } from "../lib/blank-pages.js";
+
+// As printed by gs -sDEVICE=inkcov, with the odd warning in between
+const INKCOV = [
+  " 0.02140  0.01983  0.01905  0.08711 CMYK OK",
+  " 0.00000  0.00000  0.00000  0.00012 CMYK OK",
+  "   **** Warning: page 3 has a broken font",
+  " 0.00100  0.00100  0.00100  0.00300 CMYK OK",
+  " 0.00000  0.00000  0.00000  0.00000 CMYK OK",
+  "",
+].join("\r\n");
+
+describe("blank pages", () => {
+  it("reads per-page coverage in page order", () => {
+    const coverage = parseInkCoverage(INKCOV);
+
+    assert.equal(coverage.length, 4);
+    assert.deepEqual(coverage[1], { page: 2, c: 0, m: 0, y: 0, k: 0.00012, coverage: 0.00012 });
+    assert.equal(coverage[0].coverage.toFixed(5), "0.14739");
+    assert.deepEqual(parseInkCoverage("GPL Ghostscript 10.02.1\n"), []);
+  });
+
+  it("finds pages under the threshold", () => {
+    const coverage = parseInkCoverage(INKCOV);
+
+    assert.deepEqual(findBlankPages(coverage), [2, 4]);
+    assert.deepEqual(findBlankPages(coverage, 0.01), [2, 3, 4]);
+    assert.deepEqual(findBlankPages(coverage, 0), []);
+  });
+
+  it("keeps page 1 even when it is blank", () => {
+    assert.deepEqual(pagesToKeep(4, [2, 4]), [1, 3]);
+    assert.deepEqual(pagesToKeep(3, [1, 2, 3]), [1]);
+    assert.deepEqual(pagesToKeep(2, []), [1, 2]);
+  });
+});
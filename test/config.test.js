@@ -0,0 +1,75 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadSettings, getPath } from "../lib/config.js";
+
+describe("loadSettings", () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-test-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeConfig = (name, content) => {
+    fs.writeFileSync(path.join(dir, name), content);
+    return path.join(dir, name);
+  };
+
+  it("prefers flags over the environment over the config file", () => {
+    writeConfig("upload-automation.config.json", JSON.stringify({ scannerName: "from-file", pcName: "pc-file", logging: { level: "debug" } }));
+    const { settings, sources } = loadSettings({ argv: ["--scanner", "from-flag"], env: { SCANNER_NAME: "from-env", PC_NAME: "pc-env" }, cwd: dir });
+
+    assert.equal(settings.SCANNER_NAME, "from-flag");
+    assert.equal(sources.SCANNER_NAME, "flag");
+    assert.equal(settings.PC_NAME, "pc-env");
+    assert.equal(sources.PC_NAME, "env");
+    assert.equal(settings.LOG_LEVEL, "debug");
+    assert.equal(sources.LOG_LEVEL, "config");
+  });
+
+  it("reports what nothing provided as missing", () => {
+    const { settings, missing, configPath } = loadSettings({ env: {}, cwd: dir });
+    assert.equal(configPath, null);
+    assert.deepEqual(settings, {});
+    assert.ok(missing.includes("SCANNER_NAME") && missing.includes("UPLOAD_FOLDER"));
+  });
+
+  it("resolves folders from the config file relative to the file", () => {
+    fs.mkdirSync(path.join(dir, "station"));
+    const configPath = writeConfig("station/settings.yaml", "folders:\n  upload: ./UPLOAD\n");
+    const { settings } = loadSettings({ argv: ["--config", configPath, "--error-folder", "ERR"], env: {}, cwd: dir });
+
+    assert.equal(settings.UPLOAD_FOLDER, path.join(dir, "station", "UPLOAD"));
+    assert.equal(settings.ERROR_FOLDER, path.join(dir, "ERR"));
+  });
+
+  it("finds the config file through UPLOAD_AUTOMATION_CONFIG", () => {
+    const configPath = writeConfig("elsewhere.json", JSON.stringify({ pipeline: { role: "full" } }));
+    const { settings, configPath: found } = loadSettings({ env: { UPLOAD_AUTOMATION_CONFIG: configPath }, cwd: os.tmpdir() });
+    assert.equal(found, configPath);
+    assert.equal(settings.PIPELINE_ROLE, "full");
+  });
+
+  it("reads headless from flags, environment or the file", () => {
+    assert.equal(loadSettings({ env: { HEADLESS: "yes" }, cwd: dir }).headless, true);
+    assert.equal(loadSettings({ argv: ["--headless"], env: {}, cwd: dir }).headless, true);
+    assert.equal(loadSettings({ env: {}, cwd: dir }).headless, false);
+  });
+
+  it("treats unreadable or invalid config files as usage errors", () => {
+    const broken = writeConfig("broken.json", "{ nope");
+    assert.throws(() => loadSettings({ argv: ["--config", broken], env: {}, cwd: dir }), (error) => error.exitCode === 2 && /Invalid config file/.test(error.message));
+    assert.throws(() => loadSettings({ argv: ["--config", "missing.json"], env: {}, cwd: dir }), (error) => error.exitCode === 2 && /Cannot read config file/.test(error.message));
+  });
+});
+
+describe("getPath", () => {
+  it("reads dotted paths and stops at missing parts", () => {
+    assert.equal(getPath({ a: { b: { c: 1 } } }, "a.b.c"), 1);
+    assert.equal(getPath({ a: null }, "a.b.c"), undefined);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseCsv, formatCsvRow, readCsvRecords } from "../lib/csv.js";
+
+describe("formatCsvRow", () => {
+  it("quotes fields with commas, quotes or line breaks and ends with CRLF", () => {
+    assert.equal(formatCsvRow(["plain", "a,b", 'say "hi"', "two\nlines", null, undefined, 3]), 'plain,"a,b","say ""hi""","two\nlines",,,3\r\n');
+  });
+});
+
+describe("parseCsv", () => {
+  it("reads back what formatCsvRow writes", () => {
+    const rows = [
+      ["File", "Message"],
+      ["a.pdf", 'Expected: "123", Got: 124'],
+      ["b.pdf", "line one\r\nline two"],
+      ["", ""],
+    ];
+    assert.deepEqual(parseCsv(rows.map(formatCsvRow).join("")), rows);
+  });
+
+  it("accepts LF line endings and a missing final newline", () => {
+    assert.deepEqual(parseCsv("a,b\n1,2"), [
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+});
+
+describe("readCsvRecords", () => {
+  it("keys rows by the header and skips blank lines", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-test-"));
+    try {
+      const file = path.join(dir, "log.csv");
+      fs.writeFileSync(file, formatCsvRow(["File", "Status"]) + formatCsvRow(["a.pdf", "Pass"]) + "\r\n" + formatCsvRow(["b.pdf"]));
+      assert.deepEqual(readCsvRecords(file), [
+        { File: "a.pdf", Status: "Pass" },
+        { File: "b.pdf", Status: "" },
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
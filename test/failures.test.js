@@ -0,0 +1,43 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { classifyError, httpError, RetryPolicy, FAILURE_CATEGORIES } from "../lib/failures.js";
+
+describe("classifyError", () => {
+  it("sorts HTTP errors by status", () => {
+    assert.equal(classifyError(httpError("Bad gateway", 502)), FAILURE_CATEGORIES.HTTP_5XX);
+    assert.equal(classifyError(httpError("Not found", 404)), FAILURE_CATEGORIES.HTTP_4XX);
+  });
+
+  it("treats socket errors as network failures, also when fetch wraps them", () => {
+    assert.equal(classifyError(Object.assign(new Error("refused"), { code: "ECONNREFUSED" })), FAILURE_CATEGORIES.NETWORK);
+    assert.equal(classifyError(new TypeError("fetch failed", { cause: { code: "ECONNRESET" } })), FAILURE_CATEGORIES.NETWORK);
+    assert.equal(classifyError(new TypeError("fetch failed")), FAILURE_CATEGORIES.NETWORK);
+  });
+
+  it("treats aborted and timed-out requests as network failures", () => {
+    assert.equal(classifyError(Object.assign(new Error("aborted"), { name: "AbortError" })), FAILURE_CATEGORIES.NETWORK);
+    assert.equal(classifyError(Object.assign(new Error("No answer"), { code: "ETIMEDOUT" })), FAILURE_CATEGORIES.NETWORK);
+  });
+
+  it("keeps an explicit category and falls back to unknown", () => {
+    assert.equal(classifyError(Object.assign(new Error("x"), { category: FAILURE_CATEGORIES.BARCODE_MISMATCH })), FAILURE_CATEGORIES.BARCODE_MISMATCH);
+    assert.equal(classifyError(new Error("Something else")), FAILURE_CATEGORIES.UNKNOWN);
+    assert.equal(classifyError("a string"), FAILURE_CATEGORIES.UNKNOWN);
+    assert.equal(classifyError(null), FAILURE_CATEGORIES.UNKNOWN);
+  });
+});
+
+describe("RetryPolicy", () => {
+  it("retries only transient categories, up to maxAttempts", () => {
+    const policy = new RetryPolicy({ maxAttempts: 3 });
+    assert.equal(policy.shouldRetry(FAILURE_CATEGORIES.NETWORK, 1), true);
+    assert.equal(policy.shouldRetry(FAILURE_CATEGORIES.HTTP_5XX, 2), true);
+    assert.equal(policy.shouldRetry(FAILURE_CATEGORIES.HTTP_5XX, 3), false);
+    assert.equal(policy.shouldRetry(FAILURE_CATEGORIES.API_REJECTED, 1), false);
+  });
+
+  it("backs off exponentially up to the cap", () => {
+    const policy = new RetryPolicy({ baseDelayMs: 1000, maxDelayMs: 5000 });
+    assert.deepEqual([1, 2, 3, 4].map((attempt) => policy.delayFor(attempt)), [1000, 2000, 4000, 5000]);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { FileIndex } from "../lib/file-index.js";
+import { compileMatching, sameBooklet } from "../lib/barcode-match.js";
+
+function withIndex(test) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "file-index-test-"));
+  try {
+    return test(path.join(dir, "file-index.jsonl"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const lineCount = (indexPath) => fs.readFileSync(indexPath, "utf8").trim().split("\n").length;
+
+describe("FileIndex", () => {
+  it("merges updates per file and reads them back", () =>
+    withIndex((indexPath) => {
+      const index = new FileIndex(indexPath).load();
+      index.update("A100.pdf", { batch: "CA-7", sha256: "aa" });
+      index.update("A100.pdf", { barcode: "A100" });
+
+      const entry = new FileIndex(indexPath).load().get("A100.pdf");
+      assert.equal(entry.batch, "CA-7");
+      assert.equal(entry.sha256, "aa");
+      assert.equal(entry.barcode, "A100");
+      assert.match(entry.updatedAt, /^\d{4}-\d{2}-\d{2}T/);
+    }));
+
+  it("picks up lines another process appended, leaving a half-written one for later", () =>
+    withIndex((indexPath) => {
+      const reader = new FileIndex(indexPath).load();
+      new FileIndex(indexPath).load().update("A100.pdf", { batch: "CA-7" });
+      fs.appendFileSync(indexPath, '{"file":"A101.pdf","batch":"CA');
+
+      assert.equal(reader.get("A100.pdf"), undefined);
+      reader.refresh();
+      assert.equal(reader.get("A100.pdf").batch, "CA-7");
+      assert.equal(reader.get("A101.pdf"), undefined);
+
+      fs.appendFileSync(indexPath, '-7"}\n');
+      assert.equal(reader.refresh().get("A101.pdf").batch, "CA-7");
+    }));
+
+  it("starts over when the file was replaced", () =>
+    withIndex((indexPath) => {
+      const reader = new FileIndex(indexPath);
+      new FileIndex(indexPath).update("A100.pdf", { batch: "CA-7" });
+      reader.load();
+
+      fs.writeFileSync(`${indexPath}.new`, `${JSON.stringify({ file: "B200.pdf", batch: "CA-8" })}\n`);
+      fs.renameSync(`${indexPath}.new`, indexPath);
+      reader.refresh();
+
+      assert.equal(reader.get("A100.pdf"), undefined);
+      assert.equal(reader.get("B200.pdf").batch, "CA-8");
+    }));
+
+  it("compacts to one merged line per file", () =>
+    withIndex((indexPath) => {
+      const index = new FileIndex(indexPath).load();
+      index.update("A100.pdf", { batch: "CA-7" });
+      index.update("A100.pdf", { uploadedAt: "2026-10-19T10:00:00.000Z" });
+      index.update("A101.pdf", { batch: "CA-7" });
+      assert.equal(lineCount(indexPath), 3);
+
+      index.compact();
+      assert.equal(lineCount(indexPath), 2);
+      assert.equal(index.get("A100.pdf").uploadedAt, "2026-10-19T10:00:00.000Z");
+      assert.equal(index.get("A100.pdf").batch, "CA-7");
+    }));
+
+  it("finds entries by batch and content under their current name", () =>
+    withIndex((indexPath) => {
+      const index = new FileIndex(indexPath).load();
+      index.update("A100.pdf", { batch: "CA-7", sha256: "aa" });
+      index.update("SCAN_7.pdf", { batch: "CA-7", sha256: "bb", renamedTo: "7.pdf" });
+      index.update("7.pdf", { batch: "CA-7", sha256: "bb", renamedFrom: "SCAN_7.pdf" });
+      index.update("B200.pdf", { batch: "CA-8", sha256: "cc" });
+
+      assert.deepEqual(index.inBatch("CA-7").map((entry) => entry.file), ["A100.pdf", "7.pdf"]);
+      assert.equal(index.findByHash("bb").file, "7.pdf");
+      assert.equal(index.findByHash("dd"), null);
+    }));
+
+  it("finds an uploaded booklet under the matching rules", () =>
+    withIndex((indexPath) => {
+      const index = new FileIndex(indexPath).load();
+      index.update("001793.pdf", { uploadedAt: "2026-10-19T10:00:00.000Z" });
+      index.update("42.pdf", { barcode: "42" });
+      const matching = compileMatching({ stripLeadingZeros: true });
+
+      assert.equal(index.findUploadedBooklet((booklet) => sameBooklet(booklet, { fileName: "1793.pdf" }, matching)).file, "001793.pdf");
+      assert.equal(index.findUploadedBooklet((booklet) => sameBooklet(booklet, { fileName: "1793.pdf" })), null);
+      // Not uploaded yet
+      assert.equal(index.findUploadedBooklet((booklet) => sameBooklet(booklet, { fileName: "x.pdf", barcode: "42" }, matching)), null);
+    }));
+});
@@ -0,0 +1,51 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { GhostscriptPool } from "../lib/gs-pool.js";
+
+// Node stands in for Ghostscript: the pool only cares about running a command with arguments
+const echoArgs = ["-e", "console.log(JSON.stringify(process.argv.slice(1)))"];
+const sleep = (ms) => ["-e", `setTimeout(() => {}, ${ms})`];
+
+describe("GhostscriptPool", () => {
+  it("passes arguments without a shell", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gs-pool-test-"));
+    try {
+      const marker = path.join(dir, "expanded");
+      const nasty = `${dir}/"$(touch ${marker})" \`touch ${marker}\`.pdf`;
+      const { stdout } = await new GhostscriptPool().run(process.execPath, [...echoArgs, nasty, "-dPDFSETTINGS=/screen; touch x"]);
+
+      assert.deepEqual(JSON.parse(stdout), [nasty, "-dPDFSETTINGS=/screen; touch x"]);
+      assert.equal(fs.existsSync(marker), false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("runs at most `concurrency` jobs at a time", async () => {
+    const pool = new GhostscriptPool({ concurrency: 2 });
+    const jobs = [1, 2, 3].map(() => pool.run(process.execPath, sleep(200)));
+
+    assert.deepEqual(pool.stats, { running: 2, waiting: 1, concurrency: 2 });
+    await Promise.all(jobs);
+    assert.deepEqual(pool.stats, { running: 0, waiting: 0, concurrency: 2 });
+  });
+
+  it("kills jobs that run past their timeout", async () => {
+    await assert.rejects(new GhostscriptPool({ timeoutMs: 100 }).run(process.execPath, sleep(5000)), /timed out/);
+  });
+
+  it("cancels running and waiting jobs", async () => {
+    const pool = new GhostscriptPool({ concurrency: 1 });
+    const controller = new AbortController();
+    const running = pool.run(process.execPath, sleep(5000), { signal: controller.signal });
+    const waiting = pool.run(process.execPath, sleep(5000));
+
+    controller.abort();
+    await assert.rejects(running, (error) => error.code === "CANCELLED");
+    pool.cancelAll();
+    await assert.rejects(waiting, (error) => error.code === "CANCELLED");
+  });
+});
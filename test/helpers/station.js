@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const INDEX = fileURLToPath(new URL("../../index.js", import.meta.url));
+const TIMEOUT_MS = 45000;
+
+// One-page PDF with a correct xref table, padded past the 1 KB validation minimum. `tag` makes the content unique.
+export function onePagePdf(tag = "") {
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] >>",
+  ];
+  let pdf = `%PDF-1.4\n%${tag}${"x".repeat(2048)}\n`;
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return pdf;
+}
+
+// Stand-in for Ghostscript that "compresses" by copying, so the original gets uploaded.
+// A file with VANISH in its name is deleted while it is being "compressed", as if an operator moved it away.
+function fakeGhostscript(binDir) {
+  fs.mkdirSync(binDir);
+  const script = path.join(binDir, "gs");
+  fs.writeFileSync(
+    script,
+    '#!/bin/sh\nfor a in "$@"; do case "$a" in -sOutputFile=*) out="${a#-sOutputFile=}";; esac; in="$a"; done\ncase "$in" in *VANISH*) rm -f "$in"; exit 1;; esac\ncp "$in" "$out"\n',
+  );
+  fs.chmodSync(script, 0o755);
+}
+
+export function waitFor(check, what) {
+  const deadline = Date.now() + TIMEOUT_MS;
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) return resolve();
+      if (Date.now() > deadline) return reject(new Error(`Timed out waiting for ${what}`));
+      setTimeout(poll, 100);
+    };
+    poll();
+  });
+}
+
+// Latest journal record per file name
+export function readJournal(dir) {
+  const records = fs.readFileSync(path.join(dir, "upload-journal.jsonl"), "utf8").trim().split("\n").map((line) => JSON.parse(line));
+  return (file) => records.filter((record) => record.file === file).at(-1);
+}
+
+// Run `watch` in a temp folder with the simulator standing in for the OCR and upload APIs and `config` on top of
+// a headless base config. `test(dir, output)` gets the station folder once `ready` shows in the output; the
+// station is then stopped with SIGINT and has to exit with `exitCode`, after which `stopped(dir, output)` runs.
+export async function withStation(config, test, { ready = "Watching upload folder", exitCode = 0, stopped = () => {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "station-e2e-"));
+  fakeGhostscript(path.join(dir, "bin"));
+  fs.writeFileSync(
+    path.join(dir, "upload-automation.config.json"),
+    JSON.stringify({
+      headless: true,
+      simulation: { enabled: true, latencyMs: 0 },
+      metrics: { enabled: false },
+      dashboard: { enabled: false },
+      shutdown: { timeoutMs: 5000 },
+      ...config,
+    }),
+  );
+
+  const child = spawn(process.execPath, [INDEX, "watch"], {
+    cwd: dir,
+    env: { ...process.env, PATH: `${path.join(dir, "bin")}${path.delimiter}${process.env.PATH}` },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", (data) => (output += data));
+  child.stderr.on("data", (data) => (output += data));
+  const exited = new Promise((resolve) => child.once("exit", (code, signal) => resolve({ code, signal })));
+
+  try {
+    await waitFor(() => output.includes(ready), ready);
+    await test(dir, () => output);
+
+    child.kill("SIGINT");
+    assert.deepEqual(await exited, { code: exitCode, signal: null });
+    await stopped(dir, () => output);
+  } catch (error) {
+    error.message += `\n--- station output ---\n${output}`;
+    throw error;
+  } finally {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill("SIGKILL");
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
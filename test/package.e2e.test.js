@@ -0,0 +1,39 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { withStation, onePagePdf, waitFor } from "./helpers/station.js";
+import { verifyPackage } from "../lib/batch-package.js";
+
+describe("watch with intake, barcode check and packaging", { skip: process.platform === "win32" }, () => {
+  it("zips a batch after the barcode check, from the booklets that passed", () =>
+    withStation(
+      { pipeline: { stages: ["intake", "barcode", "package"] } },
+      async (dir) => {
+        // Built aside and moved in whole, as a scanner hands over a batch; A102 repeats A100's content
+        const batch = path.join(dir, "CA-7");
+        fs.mkdirSync(batch);
+        fs.writeFileSync(path.join(batch, "A100.pdf"), onePagePdf("A100"));
+        fs.writeFileSync(path.join(batch, "A101.pdf"), onePagePdf("A101"));
+        fs.writeFileSync(path.join(batch, "A102.pdf"), onePagePdf("A100"));
+        fs.renameSync(batch, path.join(dir, "SCANNED_FOLDER", "CA-7"));
+
+        const zipPath = path.join(dir, "READY_TO_UPLOAD_FOLDER", "CA-7.zip");
+        await waitFor(() => fs.existsSync(zipPath), "the batch zip");
+
+        const { ok, problems, manifest } = await verifyPackage(zipPath);
+        assert.deepEqual(problems, []);
+        assert.equal(ok, true);
+        assert.deepEqual(
+          manifest.files.map(({ file, barcode }) => ({ file, barcode })).sort((a, b) => a.file.localeCompare(b.file)),
+          [
+            { file: "A100.pdf", barcode: "A100" },
+            { file: "A101.pdf", barcode: "A101" },
+          ],
+        );
+        assert.deepEqual(fs.readdirSync(path.join(dir, "UPLOAD_FOLDER")).sort(), ["A100.pdf", "A101.pdf"]);
+        assert.deepEqual(fs.readdirSync(path.join(dir, "DUPLICATES_FOLDER")), ["A102.pdf"]);
+      },
+      { ready: "Watching linearized folder" },
+    ));
+});
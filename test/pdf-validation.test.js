@@ -0,0 +1,78 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { validatePdf, PDF_PROBLEMS } from "../lib/pdf-validation.js";
+
+// PDF with `pages` blank pages and a correct xref table; `trailer` adds entries to the trailer dictionary.
+// Padded with a comment: the pdf.js bundled with pdf-parse fails on hand-built PDFs under about 4 KB.
+function buildPdf({ pages = 1, trailer = "" } = {}) {
+  const kids = Array.from({ length: pages }, (_, index) => `${index + 3} 0 R`).join(" ");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${kids}] /Count ${pages} >>`,
+    ...Array.from({ length: pages }, () => "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] >>"),
+  ];
+  let pdf = `%PDF-1.4\n%${"x".repeat(8192)}\n`;
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R ${trailer}>>\nstartxref\n${xref}\n%%EOF\n`;
+  return pdf;
+}
+
+describe("validatePdf", () => {
+  let dir;
+  before(() => (dir = fs.mkdtempSync(path.join(os.tmpdir(), "pdf-validation-test-"))));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const check = (name, content, limits) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return validatePdf(filePath, limits);
+  };
+  const codes = (result) => result.problems.map((problem) => problem.code);
+
+  it("passes a well-formed PDF and counts its pages", async () => {
+    const result = await check("ok.pdf", buildPdf({ pages: 3 }));
+
+    assert.equal(result.ok, true);
+    assert.equal(result.pages, 3);
+    assert.equal(result.reason, "");
+  });
+
+  it("checks page and size limits", async () => {
+    const result = await check("limits.pdf", buildPdf({ pages: 3 }), { maxPages: 2, minSizeKB: 10 });
+
+    assert.deepEqual(codes(result), [PDF_PROBLEMS.TOO_MANY_PAGES, PDF_PROBLEMS.TOO_SMALL]);
+    assert.match(result.reason, /^\[too-many-pages\] 3 page\(s\), expected at most 2; \[too-small\] 8\.\d KB, expected at least 10 KB$/);
+    assert.deepEqual(codes(await check("large.pdf", buildPdf(), { maxSizeMB: 0.001 })), [PDF_PROBLEMS.TOO_LARGE]);
+    assert.deepEqual(codes(await check("few.pdf", buildPdf(), { minPages: 2 })), [PDF_PROBLEMS.TOO_FEW_PAGES]);
+  });
+
+  it("rejects empty files and files that aren't PDFs", async () => {
+    assert.deepEqual(codes(await check("empty.pdf", "")), [PDF_PROBLEMS.EMPTY]);
+    assert.ok(codes(await check("text.pdf", "x".repeat(4096))).includes(PDF_PROBLEMS.NOT_PDF));
+  });
+
+  it("finds truncated files and broken cross-reference pointers", async () => {
+    const pdf = buildPdf();
+    assert.ok(codes(await check("truncated.pdf", pdf.slice(0, -40))).includes(PDF_PROBLEMS.TRUNCATED));
+
+    const moved = pdf.replace(/startxref\n(\d+)/, (match, offset) => `startxref\n${Number(offset) - 10}`);
+    assert.ok(codes(await check("bad-xref.pdf", moved)).includes(PDF_PROBLEMS.BAD_XREF));
+  });
+
+  it("finds an /Encrypt entry in the trailer, but not in nested dictionaries or strings", async () => {
+    assert.ok(codes(await check("encrypted.pdf", buildPdf({ trailer: "/Encrypt << /Filter /Standard >> " }))).includes(PDF_PROBLEMS.ENCRYPTED));
+
+    const decoys = await check("decoys.pdf", buildPdf({ trailer: "/Extra << /Encrypt true >> /Note (/Encrypt) " }));
+    assert.equal(decoys.ok, true);
+  });
+});
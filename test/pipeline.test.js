@@ -0,0 +1,67 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { resolvePipeline, describePipeline, PIPELINE_ROLES } from "../lib/pipeline.js";
+
+const folders = {
+  SCANNED_FOLDER: "/scan",
+  LINEARIZED_FOLDER: "/linearized",
+  UPLOAD_FOLDER: "/upload",
+  SYSTEM_UPLOADED: "/uploaded",
+};
+
+describe("resolvePipeline", () => {
+  it("chains the full role folder to folder, with inline stages on their hosts", () => {
+    const pipeline = resolvePipeline({ role: "full" }, folders);
+    assert.deepEqual(
+      pipeline.stages.map(({ name, input, output }) => ({ name, input, output })),
+      [
+        { name: "intake", input: "/scan", output: "/linearized" },
+        { name: "barcode", input: "/linearized", output: "/upload" },
+        { name: "upload", input: "/upload", output: "/uploaded" },
+      ],
+    );
+    assert.deepEqual(pipeline.stages[0].inline, ["validate", "report", "linearize"]);
+    assert.deepEqual(pipeline.stages[2].inline, ["compress"]);
+    assert.deepEqual(pipeline.warnings, []);
+    assert.equal(describePipeline(pipeline), "intake[+validate,report,linearize] → barcode → upload[+compress]");
+  });
+
+  it("hands the last stage's files to its default output folder", () => {
+    const pipeline = resolvePipeline({ role: "scan-intake" }, folders);
+    assert.equal(pipeline.stages.length, 1);
+    assert.equal(pipeline.stages[0].output, "/linearized");
+  });
+
+  it("skips a stage that is disabled and chains around it", () => {
+    const pipeline = resolvePipeline({ stages: ["intake", { name: "barcode", enabled: false }, "upload"] }, folders);
+    assert.deepEqual(pipeline.enabled, ["intake", "upload"]);
+    assert.equal(pipeline.stages[0].output, "/upload");
+  });
+
+  it("prefers explicit stages over the role", () => {
+    assert.deepEqual(resolvePipeline({ role: "full", stages: ["upload"] }, folders).enabled, ["upload"]);
+  });
+
+  it("defaults to the upload-only role", () => {
+    assert.deepEqual(resolvePipeline({}, folders).enabled, PIPELINE_ROLES["upload-only"]);
+  });
+
+  it("warns about an inline stage whose host isn't enabled", () => {
+    const pipeline = resolvePipeline({ stages: ["barcode", "compress"] }, folders);
+    assert.equal(pipeline.warnings.length, 1);
+    assert.match(pipeline.warnings[0], /"compress" runs inside "upload"/);
+  });
+
+  it("rejects watching stages listed against the flow of files", () => {
+    assert.throws(() => resolvePipeline({ stages: ["upload", "intake"] }, folders), (error) => error.exitCode === 2 && /"intake" is listed after "upload"/.test(error.message));
+    assert.throws(() => resolvePipeline({ stages: ["intake", "upload", "compress", "barcode"] }, folders), /"barcode" is listed after "upload"/);
+    // Inline stages aren't part of the flow and can go anywhere
+    assert.deepEqual(resolvePipeline({ stages: ["compress", "intake", "upload", "validate"] }, folders).enabled, ["compress", "intake", "upload", "validate"]);
+  });
+
+  it("rejects unknown roles, unknown stages and duplicates as usage errors", () => {
+    for (const options of [{ role: "nope" }, { stages: ["intake", "ocr"] }, { stages: ["upload", "upload"] }, { stages: "upload" }]) {
+      assert.throws(() => resolvePipeline(options, folders), (error) => error.exitCode === 2);
+    }
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildReport, reportToCsv, formatReasons, passFailRates } from "../lib/report.js";
+
+const MB = 1024 * 1024;
+const batches = { "A100.pdf": "CA-7", "A101.pdf": "CA-7", "B200.pdf": "CA-8" };
+const batchOf = (event) => batches[event.File] ?? null;
+
+const pdfReports = [
+  { Timestamp: "2026-10-19T08:00:00.000Z", BaseFolder: "CA-7", ScannerName: "S1", PCName: "PC1", PageCount: "12", FileSizeMB: "2.5" },
+  { Timestamp: "2026-10-19T09:30:00.000Z", BaseFolder: "CA-7", ScannerName: "S1", PCName: "PC1", PageCount: "8", FileSizeMB: "1.5" },
+  { Timestamp: "2026-10-20T08:00:00.000Z", BaseFolder: "CA-8", ScannerName: "S2", PCName: "PC1", PageCount: "4", FileSizeMB: "1" },
+];
+
+const uploads = [
+  { file: "A100.pdf", state: "uploaded", timestamp: "2026-10-19T10:00:00.000Z", sizeBefore: 4 * MB, sizeAfter: 1 * MB },
+  { file: "A101.pdf", state: "uploaded", timestamp: "2026-10-19T10:05:00.000Z", sizeBefore: 2 * MB, sizeAfter: 2 * MB },
+  // Sent uncompressed, and compressed but not (yet) uploaded: neither counts
+  { file: "B200.pdf", state: "uploaded", timestamp: "2026-10-20T10:00:00.000Z" },
+  { file: "B201.pdf", state: "failed", timestamp: "2026-10-20T10:00:00.000Z", sizeBefore: 8 * MB, sizeAfter: 1 * MB },
+];
+
+const events = [
+  { Timestamp: "2026-10-19T10:00:01.000Z", File: "A100.pdf", Action: "Upload Complete", Status: "Pass", Scanner: "S1", PC: "PC1" },
+  { Timestamp: "2026-10-19T10:05:01.000Z", File: "A101.pdf", Action: "Upload Failed", Status: "Fail", Scanner: "S1", PC: "PC1", Message: "API Status: 500, Message: Internal, Error: Timeout" },
+  { Timestamp: "2026-10-20T09:00:00.000Z", File: "B200.pdf", Action: "OCR Check", Status: "Fail", Scanner: "S2", PC: "PC1" },
+];
+
+const report = (options = {}) => buildReport({ events, pdfReports, uploads, station: { scanner: "S1", pc: "PC1" }, batchOf, ...options });
+
+describe("buildReport", () => {
+  it("totals scans, compression and upload outcomes", () => {
+    const { totals } = report();
+
+    assert.equal(totals.files, 3);
+    assert.equal(totals.pages, 24);
+    assert.equal(totals.sizeMB, 5);
+    assert.equal(totals.compressedFromMB, 6);
+    assert.equal(totals.compressedToMB, 3);
+    assert.equal(totals.barcodeMismatches, 1);
+    assert.equal(totals.uploadsCompleted, 1);
+    assert.equal(totals.uploadsFailed, 1);
+    assert.deepEqual(totals.failureReasons, { Timeout: 1 });
+  });
+
+  it("groups by day, batch and station", () => {
+    const { days, batches, stations, hourly } = report();
+
+    assert.deepEqual(Object.keys(days), ["2026-10-19", "2026-10-20"]);
+    assert.equal(batches["CA-7"].compressedFromMB, 6);
+    assert.equal(batches["CA-8"].compressedFromMB, 0);
+    assert.equal(stations["S1 @ PC1"].files, 2);
+    assert.equal(stations["S1 @ PC1"].compressedToMB, 3);
+    assert.equal(stations["S2 @ PC1"].barcodeMismatches, 1);
+    assert.deepEqual(hourly["2026-10-19 10"], { scanned: 0, uploaded: 1 });
+  });
+
+  it("keeps only the requested day or batch", () => {
+    assert.equal(report({ date: "2026-10-20" }).totals.compressedFromMB, 0);
+    assert.equal(report({ date: "2026-10-20" }).totals.files, 1);
+    assert.equal(report({ batch: "CA-7" }).totals.files, 2);
+    assert.equal(report({ batch: "CA-7" }).totals.barcodeMismatches, 0);
+  });
+
+  it("works out files per hour from first to last scan", () => {
+    assert.equal(report({ batch: "CA-7" }).totals.filesPerHour, 1.3);
+    assert.equal(report({ since: "2026-10-19T09:00:00.000Z", batch: "CA-7" }).totals.filesPerHour, 1);
+  });
+});
+
+describe("report output", () => {
+  it("writes a CSV row per group and per hour", () => {
+    const lines = reportToCsv(report()).trim().split(/\r?\n/);
+
+    assert.equal(lines[0], "Group,Name,Files,Pages,SizeMB,CompressedFromMB,CompressedToMB,BarcodeMismatches,UploadsCompleted,UploadsFailed,FilesPerHour,FailureReasons");
+    assert.equal(lines[1], "total,all,3,24,5,6,3,1,1,1,0.1,Timeout (1)");
+    assert.ok(lines.includes("batch,CA-7,2,20,4,6,3,0,1,1,1.3,Timeout (1)"));
+    assert.ok(lines.includes("hour,2026-10-19 10,0,,,,,,1,,,"));
+  });
+
+  it("lists failure reasons most frequent first", () => {
+    assert.equal(formatReasons({ Timeout: 1, "Duplicate - already saved": 3 }), "Duplicate - already saved (3); Timeout (1)");
+  });
+});
+
+describe("passFailRates", () => {
+  it("counts deciding actions per batch and scanner", () => {
+    const rates = passFailRates(events, { batchOf });
+
+    assert.deepEqual(rates.byBatch["CA-7"], { pass: 1, fail: 1, total: 2 });
+    assert.deepEqual(rates.byScanner.S2, { pass: 0, fail: 1, total: 1 });
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ROSTER_OUTCOMES, BatchLedger, parseRoster, reconcileRoster, describeProblems, reconciliationToCsv } from "../lib/roster.js";
+import { compileMatching } from "../lib/barcode-match.js";
+
+const { UPLOADED, PENDING, FAILED, DUPLICATE, QUARANTINED } = ROSTER_OUTCOMES;
+
+describe("parseRoster", () => {
+  it("takes the barcode column named in the header", () => {
+    assert.deepEqual(parseRoster("\uFEFFSeat,Booklet No.\r\n1,A100\r\n2,A101\r\n3,A100\r\n\r\n"), ["A100", "A101"]);
+  });
+
+  it("takes the first column without a header", () => {
+    assert.deepEqual(parseRoster("A100,Jane\nA101,John\n"), ["A100", "A101"]);
+    assert.deepEqual(parseRoster(""), []);
+  });
+});
+
+describe("reconcileRoster", () => {
+  it("sorts booklets into uploaded, pending, missing, extra, duplicated and failed", () => {
+    const result = reconcileRoster(
+      ["A100", "A101", "A102", "A103", "A104"],
+      [
+        { file: "A100.pdf", barcode: "A100", outcome: UPLOADED },
+        { file: "A100_2.pdf", barcode: "A100", outcome: PENDING },
+        { file: "A101.pdf", outcome: PENDING },
+        { file: "A103.pdf", barcode: "A103", outcome: FAILED },
+        { file: "A104.pdf", outcome: QUARANTINED },
+        { file: "A104_rescan.pdf", barcode: "A104", outcome: UPLOADED },
+        { file: "B900.pdf", outcome: DUPLICATE },
+      ],
+    );
+
+    assert.equal(result.expected, 5);
+    assert.equal(result.received, 4);
+    assert.deepEqual(result.uploaded, ["A100", "A104"]);
+    assert.deepEqual(result.pending, ["A101"]);
+    assert.deepEqual(result.missing, ["A102"]);
+    assert.deepEqual(result.extra, ["B900"]);
+    assert.deepEqual(result.duplicates, ["A100", "B900"]);
+    assert.deepEqual(result.failed, ["A103"]);
+    assert.equal(result.settled, false);
+    assert.equal(result.clean, false);
+    assert.deepEqual(result.rows.find((row) => row.barcode === "A104").files, ["A104.pdf", "A104_rescan.pdf"]);
+  });
+
+  it("compares roster barcodes and booklets under the matching rules", () => {
+    const files = [
+      { file: "1793.pdf", barcode: "1793", outcome: UPLOADED },
+      { file: "SCAN_0042.pdf", outcome: UPLOADED },
+    ];
+    const matching = compileMatching({ stripLeadingZeros: true, fileNamePattern: "^(?:SCAN_)?(\\d+)$" });
+
+    const loose = reconcileRoster(["001793", "42"], files, matching);
+    assert.deepEqual(loose.uploaded, ["001793", "42"]);
+    assert.deepEqual([loose.missing, loose.extra], [[], []]);
+    assert.equal(loose.clean, true);
+
+    // Without the rules they are different booklets
+    const exact = reconcileRoster(["001793", "42"], files);
+    assert.deepEqual(exact.missing, ["001793", "42"]);
+    assert.deepEqual(exact.extra, ["1793", "SCAN_0042"]);
+  });
+
+  it("drops a valid check digit before comparing", () => {
+    // 7992739871 + Luhn check digit 3
+    const result = reconcileRoster(["7992739871"], [{ file: "7992739871.pdf", barcode: "79927398713", outcome: UPLOADED }], compileMatching({ checkDigit: "luhn" }));
+    assert.equal(result.clean, true);
+  });
+
+  it("is settled and clean once everything on the roster went up", () => {
+    const result = reconcileRoster(["A100"], [{ file: "A100.pdf", barcode: "A100", outcome: UPLOADED }]);
+    assert.equal(result.settled, true);
+    assert.equal(result.clean, true);
+  });
+});
+
+describe("reconciliation output", () => {
+  const result = reconcileRoster(
+    ["A100", "A101", "A102"],
+    [
+      { file: "A100.pdf", barcode: "A100", outcome: UPLOADED },
+      { file: "A100 copy.pdf", barcode: "A100", outcome: UPLOADED },
+    ],
+  );
+
+  it("describes problems on one line, shortening long lists", () => {
+    assert.equal(describeProblems(result), "2 missing (A101, A102); 1 duplicates (A100)");
+    assert.equal(describeProblems(result, { limit: 1 }), "2 missing (A101, +1 more); 1 duplicates (A100)");
+  });
+
+  it("writes a CSV row per barcode", () => {
+    assert.deepEqual(reconciliationToCsv(result).trim().split(/\r?\n/), [
+      "Barcode,Expected,Status,Duplicate,Files",
+      "A100,yes,uploaded,yes,A100.pdf A100 copy.pdf",
+      "A101,yes,missing,,",
+      "A102,yes,missing,,",
+    ]);
+  });
+});
+
+describe("BatchLedger", () => {
+  it("keeps set-aside booklets, hand-off, packaging and status across reloads", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ledger-test-"));
+    try {
+      const ledgerPath = path.join(dir, "batch-ledger.jsonl");
+      const ledger = new BatchLedger(ledgerPath).load();
+      ledger.setAside("CA-7", { file: "A102.pdf", outcome: DUPLICATE });
+      ledger.handOff("CA-7", ["A100.pdf", "A101.pdf"]);
+      ledger.markPackaged("CA-7", "READY_TO_UPLOAD_FOLDER/CA-7.zip");
+      ledger.mark("CA-7", "held", "2 missing");
+      fs.appendFileSync(ledgerPath, '{"batch":"CA-7","status":"comp');
+
+      const state = new BatchLedger(ledgerPath).load().get("CA-7");
+      assert.deepEqual(state.setAside, [{ file: "A102.pdf", barcode: null, outcome: DUPLICATE }]);
+      assert.deepEqual(state.handedOff, ["A100.pdf", "A101.pdf"]);
+      assert.equal(state.packaged, "READY_TO_UPLOAD_FOLDER/CA-7.zip");
+      assert.equal(state.status, "held");
+      assert.equal(state.note, "2 missing");
+      assert.equal(new BatchLedger(ledgerPath).load().get("CA-8").handedOff, null);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { withStation, onePagePdf, waitFor, readJournal } from "./helpers/station.js";
+import { EXIT_CODES } from "../lib/cli.js";
+
+describe("shutdown", { skip: process.platform === "win32" }, () => {
+  it("cancels an upload that outlasts the timeout and leaves it for the next start", () =>
+    withStation(
+      // The stand-in API answers long after shutdown has stopped waiting
+      { pipeline: { role: "upload-only" }, upload: { batchSize: 1 }, simulation: { enabled: true, latencyMs: 30000 }, shutdown: { timeoutMs: 500 } },
+      async (dir, output) => {
+        fs.writeFileSync(path.join(dir, "UPLOAD_FOLDER", "E2E-0100.pdf"), onePagePdf());
+        await waitFor(() => output().includes("Uploading file: E2E-0100.pdf"), "the upload to start");
+      },
+      {
+        exitCode: EXIT_CODES.INTERRUPTED,
+        stopped: (dir, output) => {
+          assert.ok(fs.existsSync(path.join(dir, "UPLOAD_FOLDER", "E2E-0100.pdf")), "the file should stay in the upload folder");
+          const last = readJournal(dir)("E2E-0100.pdf");
+          assert.equal(last.state, "queued");
+          assert.equal(last.interrupted, "SIGINT");
+          assert.match(output(), /Cancelling 1 job\(s\) still in progress/);
+          assert.match(output(), /Stopped, unfinished work will be picked up on the next start \(exit code 3\)/);
+        },
+      },
+    ));
+});
@@ -0,0 +1,157 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createUploadAdapter, createAuth } from "../lib/upload-adapters.js";
+import { ApiSimulator } from "../lib/simulator.js";
+
+// Deterministic content, large enough to need a few dozen chunks
+function pdfBuffer(size, fill) {
+  const buffer = Buffer.alloc(size, fill);
+  buffer.write("%PDF-1.4\n");
+  return buffer;
+}
+
+const CHUNK_SIZE_MB = 4096 / (1024 * 1024);
+
+describe("response mapping", () => {
+  it("reads the answer-code-bulk answer by default", () => {
+    const adapter = createUploadAdapter();
+    const parsed = adapter.parse({ status: true, message: "ok", data: { savedFiles: ["A1.pdf"], failedFiles: ["B2 - Duplicate - already saved"] } });
+
+    assert.deepEqual(parsed.saved, ["A1.pdf"]);
+    assert.deepEqual(parsed.failed, [{ name: "B2", reason: "Duplicate - already saved" }]);
+    assert.deepEqual(adapter.outcome("A1.pdf", parsed), { saved: true });
+    assert.deepEqual(adapter.outcome("B2.pdf", parsed), { saved: false, rejected: true, reason: "Duplicate - already saved" });
+    assert.equal(adapter.outcome("C3.pdf", parsed).rejected, false);
+  });
+
+  it("follows a destination's own mapping", () => {
+    const adapter = createUploadAdapter({
+      destinations: { archive: { url: "http://archive.local/in", response: { saved: "accepted", failed: "errors", nameField: "file", reasonField: "why" } } },
+      target: "archive",
+    });
+    const parsed = adapter.parse({ accepted: [{ file: "A1" }], errors: [{ file: "B2.pdf", why: "Too large" }] });
+
+    assert.equal(adapter.url, "http://archive.local/in");
+    assert.deepEqual(adapter.outcome("A1.pdf", parsed), { saved: true });
+    assert.equal(adapter.outcome("B2.pdf", parsed).reason, "Too large");
+  });
+
+  it("refuses answers without either list", () => {
+    assert.throws(() => createUploadAdapter().parse({ status: false, message: "Server error" }), /Invalid response/);
+  });
+
+  it("refuses unknown targets and adapters", () => {
+    assert.throws(() => createUploadAdapter({ target: "nowhere" }), /Unknown upload target "nowhere"/);
+    assert.throws(() => createUploadAdapter({ destinations: { ftp: { adapter: "ftp" } }, target: "ftp" }), /Unknown upload adapter "ftp"/);
+  });
+});
+
+describe("createAuth", () => {
+  it("builds headers from the configured scheme", async () => {
+    assert.deepEqual(await createAuth({ type: "bearer", token: "t0k" }).headers(), { Authorization: "Bearer t0k" });
+    assert.deepEqual(await createAuth({ type: "api-key", key: "env:KEY", header: "X-Key" }, { env: { KEY: "secret" } }).headers(), { "X-Key": "secret" });
+    assert.deepEqual(await createAuth({ type: "basic", username: "scan", password: "pw" }).headers(), { Authorization: `Basic ${Buffer.from("scan:pw").toString("base64")}` });
+  });
+
+  it("fails on missing secrets", () => {
+    assert.throws(() => createAuth({ type: "api-key", key: "env:MISSING" }, { env: {} }), /MISSING, which is not set/);
+    assert.throws(() => createAuth({ type: "bearer" }), /needs a token/);
+  });
+});
+
+describe("uploads against the simulator", () => {
+  let simulator;
+  before(async () => {
+    simulator = new ApiSimulator({ latencyMs: 0, seed: 7 });
+    await simulator.start();
+  });
+  after(() => simulator.stop());
+
+  const chunked = () => createUploadAdapter({ destinations: { chunked: { adapter: "chunked", url: simulator.chunkedUploadUrl, chunkSizeMB: CHUNK_SIZE_MB } }, target: "chunked" });
+
+  it("sends a multipart batch", async () => {
+    const adapter = createUploadAdapter({ url: simulator.uploadUrl });
+    const response = await adapter.send([
+      { name: "A1.pdf", buffer: pdfBuffer(2000, 1) },
+      { name: "A2.pdf", buffer: pdfBuffer(3000, 2) },
+    ]);
+    const parsed = adapter.parse(await response.json());
+
+    assert.deepEqual(parsed.saved, ["A1.pdf", "A2.pdf"]);
+    assert.equal(adapter.resumable, false);
+  });
+
+  it("resumes chunks cut off on the way", async () => {
+    simulator.dropRate = 0.3;
+    try {
+      const adapter = chunked();
+      const buffer = pdfBuffer(100 * 1024, 3);
+      const progress = [];
+      const response = await adapter.send([{ name: "B1.pdf", buffer }], { idempotencyKey: "batch-b", onProgress: ({ sent }) => progress.push(sent) });
+
+      assert.ok(simulator.stats.uploads.dropped > 0, "expected the simulator to drop some chunks");
+      assert.deepEqual(adapter.outcome("B1.pdf", adapter.parse(await response.json())), { saved: true });
+      assert.equal(progress.at(-1), buffer.length);
+    } finally {
+      simulator.dropRate = 0;
+    }
+  });
+
+  it("picks up an interrupted upload where the server stopped", async () => {
+    const buffer = pdfBuffer(64 * 1024, 4);
+    const file = { name: "C1.pdf", buffer };
+
+    simulator.dropRate = 1;
+    try {
+      await assert.rejects(chunked().send([file]));
+    } finally {
+      simulator.dropRate = 0;
+    }
+    const sessions = simulator.stats.uploads.sessions;
+    const progress = [];
+    const adapter = chunked();
+    const response = await adapter.send([file], { onProgress: ({ sent }) => progress.push(sent) });
+
+    assert.equal(simulator.stats.uploads.sessions, sessions, "the same content should get its session back");
+    assert.ok(progress[0] > 0, "the second try should start past the first byte");
+    assert.deepEqual(adapter.outcome("C1.pdf", adapter.parse(await response.json())), { saved: true });
+  });
+
+  it("picks up the session of a booklet compressed again after a restart", async () => {
+    // Same booklet (same key from intake), recompressed: the bytes differ, the size doesn't
+    const first = { name: "D1.pdf", buffer: pdfBuffer(64 * 1024, 5), key: "intake-sha-d1" };
+    const recompressed = { ...first, buffer: pdfBuffer(64 * 1024, 6) };
+
+    simulator.dropRate = 1;
+    try {
+      await assert.rejects(chunked().send([first]));
+    } finally {
+      simulator.dropRate = 0;
+    }
+    const sessions = simulator.stats.uploads.sessions;
+    const progress = [];
+    const adapter = chunked();
+    const response = await adapter.send([recompressed], { onProgress: ({ sent }) => progress.push(sent) });
+
+    assert.equal(simulator.stats.uploads.sessions, sessions, "the booklet should get its session back");
+    assert.ok(progress[0] > 0, "the second try should start past the first byte");
+    assert.deepEqual(adapter.outcome("D1.pdf", adapter.parse(await response.json())), { saved: true });
+  });
+
+  it("starts over when the booklet's size changed", async () => {
+    const first = { name: "E1.pdf", buffer: pdfBuffer(64 * 1024, 7), key: "intake-sha-e1" };
+
+    simulator.dropRate = 1;
+    try {
+      await assert.rejects(chunked().send([first]));
+    } finally {
+      simulator.dropRate = 0;
+    }
+    const progress = [];
+    const adapter = chunked();
+    const response = await adapter.send([{ ...first, buffer: pdfBuffer(48 * 1024, 8) }], { onProgress: ({ sent }) => progress.push(sent) });
+
+    assert.equal(progress[0], 0);
+    assert.deepEqual(adapter.outcome("E1.pdf", adapter.parse(await response.json())), { saved: true });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { UploadJournal, FILE_STATES } from "../lib/upload-journal.js";
+
+function withJournal(test) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "journal-test-"));
+  const journalPath = path.join(dir, "upload-journal.jsonl");
+  const journal = new UploadJournal(journalPath);
+  try {
+    return test(journal, journalPath);
+  } finally {
+    journal.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const lines = (journalPath) => fs.readFileSync(journalPath, "utf8").trim().split("\n");
+
+describe("UploadJournal", () => {
+  it("records transitions and counts upload attempts", () =>
+    withJournal((journal, journalPath) => {
+      journal.load();
+      journal.record("/station/UPLOAD_FOLDER/A100.pdf", FILE_STATES.QUEUED);
+      journal.record("/station/UPLOAD_FOLDER/A100.pdf", FILE_STATES.UPLOADING, { sha256: "aa" });
+      journal.record("/station/UPLOAD_FOLDER/A100.pdf", FILE_STATES.FAILED, { category: "network" });
+      journal.record("/station/UPLOAD_FOLDER/A100.pdf", FILE_STATES.UPLOADING, { sha256: "aa" });
+
+      assert.equal(journal.getState("A100.pdf"), FILE_STATES.UPLOADING);
+      assert.equal(journal.get("/elsewhere/A100.pdf").attempts, 2);
+      assert.equal(journal.getState("A101.pdf"), null);
+      assert.equal(lines(journalPath).length, 4);
+      assert.throws(() => journal.record("A100.pdf", "lost"), /Unknown journal state: lost/);
+    }));
+
+  it("replays the latest state per file and compacts to one line each", () =>
+    withJournal((journal, journalPath) => {
+      journal.load();
+      journal.record("A100.pdf", FILE_STATES.UPLOADING, { sha256: "aa" });
+      journal.record("A100.pdf", FILE_STATES.UPLOADED, { sha256: "aa" });
+      journal.record("A101.pdf", FILE_STATES.COMPRESSING);
+      journal.close();
+
+      const replayed = new UploadJournal(journalPath).load();
+      try {
+        assert.equal(replayed.getState("A100.pdf"), FILE_STATES.UPLOADED);
+        assert.deepEqual(
+          replayed.entriesInState(FILE_STATES.COMPRESSING, FILE_STATES.UPLOADING).map((record) => record.file),
+          ["A101.pdf"],
+        );
+        assert.equal(lines(journalPath).length, 2);
+      } finally {
+        replayed.close();
+      }
+    }));
+
+  it("reads without compacting, skipping a torn last line", () =>
+    withJournal((journal, journalPath) => {
+      fs.writeFileSync(journalPath, `${JSON.stringify({ file: "A100.pdf", state: "queued" })}\n${JSON.stringify({ file: "A100.pdf", state: "uploading" })}\n{"file":"A101.pdf","sta`);
+      journal.load({ compact: false });
+
+      assert.equal(journal.getState("A100.pdf"), FILE_STATES.UPLOADING);
+      assert.equal(journal.entries.size, 1);
+      assert.equal(lines(journalPath).length, 3);
+    }));
+
+  it("only counts as uploaded the content that went up", () =>
+    withJournal((journal) => {
+      journal.load();
+      journal.record("A100.pdf", FILE_STATES.UPLOADED, { sha256: "aa" });
+      journal.record("A101.pdf", FILE_STATES.UPLOADED);
+      journal.record("A102.pdf", FILE_STATES.UPLOADING, { sha256: "cc" });
+
+      assert.equal(journal.isUploaded("A100.pdf", "aa"), true);
+      // Rescanned under the same name
+      assert.equal(journal.isUploaded("A100.pdf", "bb"), false);
+      // Journaled before checksums were kept
+      assert.equal(journal.isUploaded("A101.pdf", undefined), false);
+      assert.equal(journal.isUploaded("A102.pdf", "cc"), false);
+    }));
+});
@@ -0,0 +1,39 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { withStation, onePagePdf, waitFor, readJournal } from "./helpers/station.js";
+
+const uploadOnly = (upload) => ({ pipeline: { role: "upload-only" }, upload });
+
+describe("watch with the API simulator", { skip: process.platform === "win32" }, () => {
+  it("uploads a dropped PDF and records it in the journal", () =>
+    withStation(uploadOnly({ batchSize: 1 }), async (dir) => {
+      fs.writeFileSync(path.join(dir, "UPLOAD_FOLDER", "E2E-0001.pdf"), onePagePdf());
+      await waitFor(() => fs.existsSync(path.join(dir, "SYSTEM_UPLOADED", "E2E-0001.pdf")), "the upload");
+
+      const last = readJournal(dir)("E2E-0001.pdf");
+      assert.equal(last.state, "uploaded");
+      assert.match(last.sha256, /^[0-9a-f]{64}$/);
+      // The stand-in Ghostscript can't make it smaller, so the original went up
+      assert.equal(last.sizeBefore, fs.statSync(path.join(dir, "SYSTEM_UPLOADED", "E2E-0001.pdf")).size);
+      assert.equal(last.sizeAfter, last.sizeBefore);
+    }));
+
+  it("uploads a batch through the queue even when a file vanishes during compression", () =>
+    withStation(uploadOnly(), async (dir, output) => {
+      const names = ["E2E-0002.pdf", "E2E-0003.pdf", "E2E-VANISH.pdf"];
+      names.forEach((name, index) => fs.writeFileSync(path.join(dir, "UPLOAD_FOLDER", name), onePagePdf(index)));
+
+      await waitFor(() => output().includes("Batch result:"), "the batch upload");
+      for (const name of ["E2E-0002.pdf", "E2E-0003.pdf"]) {
+        assert.ok(fs.existsSync(path.join(dir, "SYSTEM_UPLOADED", name)), `${name} should be uploaded`);
+        assert.equal(readJournal(dir)(name).state, "uploaded");
+      }
+      // Read before it disappeared, so it went up with the others under its original content
+      assert.equal(readJournal(dir)("E2E-VANISH.pdf").state, "uploaded");
+      assert.match(output(), /Processing batch of 3 file\(s\)/);
+      assert.match(output(), /Batch result: 3 saved, 0 failed/);
+      assert.deepEqual(fs.readdirSync(path.join(dir, "UPLOAD_ERROR")), []);
+    }));
+});